@@ -5,6 +5,101 @@
 
 import { Route } from './models/Route.js';
 import { Spot } from './models/Spot.js';
+import {
+  ACTIVITIES,
+  DEFAULT_ACTIVITY,
+  naismithMinutes,
+} from './models/activities.js';
+import { SPOT_CATEGORIES, DEFAULT_CATEGORY } from './models/categories.js';
+import { parseTags, parseCollections, countLabels } from './models/labels.js';
+import { UndoStack } from './utils/UndoStack.js';
+import {
+  haversineDistance,
+  calculateTotalDistance,
+  segmentDistances,
+  pointsAlong,
+  bearing,
+  polygonArea,
+  projectOntoPath,
+} from './utils/geo.js';
+import { routeToGPX, spotToGPX, parseGPX } from './utils/gpx.js';
+import { logsToGeoJSON, parseGeoJSON } from './utils/geojson.js';
+import { logsToKML, parseKML } from './utils/kml.js';
+import { generateId } from './models/Log.js';
+import { parseLogs } from './models/parseLog.js';
+import { createBackup, parseBackup } from './utils/backup.js';
+import { DEFAULT_SETTINGS, parseSettings } from './models/settings.js';
+import { createStorage } from './storage/createStorage.js';
+import { isQuotaError } from './storage/StorageAdapter.js';
+import { SyncChannel } from './storage/SyncChannel.js';
+import { HttpRouter } from './routing/HttpRouter.js';
+import {
+  outAndBack,
+  closeLoop,
+  reversePath,
+  simplifyPath,
+  densifyPath,
+} from './utils/path.js';
+import { splitRoute, mergeRoutes } from './models/routeOps.js';
+import {
+  DEFAULT_FILTER,
+  dayOf,
+  applyFilter,
+  matchesFilter,
+  isFilterActive,
+  filterFromSearch,
+  filterToSearch,
+} from './models/logFilter.js';
+import { OpenElevationProvider } from './elevation/OpenElevationProvider.js';
+import { elevationProfile } from './utils/elevation.js';
+import { MAX_PHOTOS, resizePhoto } from './utils/photo.js';
+import { elevationChartSVG, sampleAt } from './utils/elevationChart.js';
+import { trainingStats, calendarDays } from './models/stats.js';
+import { barChartSVG, lineChartSVG, heatmapSVG } from './utils/statsCharts.js';
+import {
+  unitsOf,
+  distanceIn,
+  paceIn,
+  speedIn,
+  elevationIn,
+  paceFromDisplay,
+  speedFromDisplay,
+  formatDistance,
+  formatPace,
+  formatSpeed,
+  formatElevation,
+  formatDuration,
+  formatArea,
+  formatBearing,
+} from './utils/format.js';
+
+// Whole-path commands for routes being drawn, edited or already saved
+const PATH_TRANSFORMS = {
+  'out-and-back': outAndBack,
+  'close-loop': closeLoop,
+  reverse: reversePath,
+};
+const PATH_KEYS = { b: 'out-and-back', l: 'close-loop', r: 'reverse' };
+
+// Point-count tools for saved routes, tuned with a slider in meters
+const PATH_TOOLS = {
+  simplify: {
+    title: 'Simplify Route',
+    label: 'Tolerance',
+    min: 1,
+    max: 100,
+    value: 10,
+    run: simplifyPath,
+  },
+  densify: {
+    title: 'Densify Route',
+    label: 'Point every',
+    min: 5,
+    max: 500,
+    value: 50,
+    run: densifyPath,
+  },
+};
 
 class App {
   // Map state
@@ -12,53 +107,153 @@ class App {
   #mapZoomLevel = 14;
 
   // Mode state
-  #mode = 'none'; // 'none' | 'route' | 'spot'
+  #mode = 'none'; // 'none' | 'route' | 'spot' | 'edit'
   #isDrawing = false;
 
   // Drawing state
   #routePoints = [];
   #currentPolyline = null;
   #vertexMarkers = [];
+  #midpointMarkers = []; // Ghost markers between vertices (edit mode)
   #currentDistance = 0;
+  #editingRouteId = null; // Saved route whose path is being edited
+  #drawHistory = new UndoStack(); // Vertex changes while drawing/editing
+  #routeVertices = []; // Indexes of clicked points in #routePoints (drawing)
+  #router; // Finds paths for "follow roads" segments
+  #segmentQueue = Promise.resolve(); // Segments are added one at a time
+  #drawingSession = 0; // Bumped on clear so late routing results are dropped
+  #measureOverlay = null; // Area fill and segment bearings (measure mode)
 
   // Data
   #logs = [];
+  #settings = { ...DEFAULT_SETTINGS };
+  #storage = createStorage(); // Promise of the storage adapter
+  #sync = null; // Change notifications to/from other tabs
+  #isSyncing = false;
+  #syncQueued = false; // Another tab changed logs during a sync
   #drawnLayers = new Map(); // log.id -> Leaflet layer
+  #endpointMarkers = new Map(); // log.id -> [start, end] markers
   #activeAnimations = new Map(); // log.id -> animation frame ID
   #animationLayers = new Map(); // log.id -> animation overlay layer
   #selectedRouteId = null; // Currently selected/clicked route
+  #distanceMarkers = null; // Layer group labelling the selected route
+  #mergeSelection = new Set(); // Route ids checked for merging (Ctrl/Cmd-click)
+  #filter = filterFromSearch(location.search); // Log list search, filter and sort
+  #history = new UndoStack(); // Log saves, edits and deletes
+  #elevationProvider = null; // Fills in route elevation (opt-in)
+  #chartMarker = null; // Follows the hovered point of an elevation chart
 
   // DOM elements
   #drawRouteBtn;
   #markSpotBtn;
+  #measureBtn;
   #routePanel;
+  #routePanelHint;
+  #followRoadsBtn;
+  #autoCloseBtn;
+  #routePanelTools;
   #distanceDisplay;
+  #distanceDisplayUnit;
+  #projectedTime;
+  #measureArea;
+  #measureSaveBtn;
+  #routePanelPlan;
+  #drawActivityInput;
+  #targetInput;
+  #targetUnit;
   #distanceTooltip;
   #logListItems;
   #logCount;
+  #unitsBtn;
   #emptyState;
+  #noMatches;
+  #logGroups;
+  #logGroupsBody;
+  #filterForm;
+  #filterQuery;
+  #filterType;
+  #filterMore;
+  #filterFrom;
+  #filterTo;
+  #filterMin;
+  #filterMax;
+  #filterSort;
+  #filterClear;
   #form;
+  #formTitle;
   #formTypeBadge;
+  #formSubmitBtn;
+  #editingLogId = null; // Log whose details are edited in the form
   #logList;
   #logListHeader;
+  #importBtn;
+  #importInput;
+  #exportMenu;
+  #backupBtn;
+  #statsBtn;
+  #statsDialog;
+  #statsScope;
+  #statsBody;
+  #settingsBtn;
+  #settingsDialog;
+  #settingsForm;
+  #routingUrlInput;
+  #routingApiInput;
+  #routingProfileInput;
+  #elevationUrlInput;
+  #restoreBtn;
+  #mergeBtn;
+  #restoreInput;
+  #toast;
+  #toastTimer = null;
 
   // Form fields
   #titleInput;
   #distanceInput;
+  #distanceUnit;
   #durationInput;
+  #activityInput;
+  #paceLabel;
   #paceOutput;
   #notesInput;
   #distanceField;
   #durationField;
+  #activityField;
   #paceField;
+  #categoryInput;
+  #categoryField;
+  #photosField;
+  #tagsInput;
+  #collectionsInput;
+  #tagOptions;
+  #collectionOptions;
+  #photoList;
+  #photoAdd;
+  #photoInput;
+  #formPhotos = []; // Photos of the spot in the open form (data URLs)
 
   // Delete dialog
   #deleteDialog;
   #deleteMessage;
   #deleteCancelBtn;
   #deleteConfirmBtn;
+  #deleteWaypointsOption;
+  #deleteWaypointsInput;
+  #deleteWaypointsLabel;
   #pendingDeleteId = null;
 
+  // Restore dialog
+  #restoreDialog;
+  #restoreMessage;
+  #pendingRestore = null; // Parsed backup awaiting merge/replace choice
+  #pathDialog;
+  #pathDialogTitle;
+  #pathDialogLabel;
+  #pathDialogRange;
+  #pathDialogValue;
+  #pathDialogPreview;
+  #pendingPathTool = null; // { logId, tool } while the path dialog is open
+
   // Location overlay
   #locationOverlay;
   #requestLocationBtn;
@@ -67,9 +262,12 @@ class App {
   constructor() {
     this.#cacheDOM();
     this.#getPosition();
-    this.#loadFromLocalStorage();
+    this.#loadSettings();
+    this.#createServices();
     this.#bindEvents();
+    this.#refreshUnits();
     this.#updateLogCount();
+    this.#loadLogs();
   }
 
   /**
@@ -78,35 +276,120 @@ class App {
   #cacheDOM() {
     this.#drawRouteBtn = document.getElementById('draw-route-btn');
     this.#markSpotBtn = document.getElementById('mark-spot-btn');
+    this.#measureBtn = document.getElementById('measure-btn');
     this.#routePanel = document.getElementById('route-panel');
+    this.#routePanelHint = document.getElementById('route-panel-hint');
+    this.#followRoadsBtn = document.getElementById('follow-roads-btn');
+    this.#autoCloseBtn = document.getElementById('auto-close-btn');
+    this.#routePanelTools = document.getElementById('route-panel-tools');
     this.#distanceDisplay = document.getElementById('current-distance');
+    this.#distanceDisplayUnit = document.getElementById(
+      'current-distance-unit',
+    );
+    this.#projectedTime = document.getElementById('projected-time');
+    this.#measureArea = document.getElementById('measure-area');
+    this.#measureSaveBtn = document.getElementById('measure-save-btn');
+    this.#routePanelPlan = document.getElementById('route-panel-plan');
+    this.#drawActivityInput = document.getElementById('draw-activity');
+    this.#targetInput = document.getElementById('target-input');
+    this.#targetUnit = document.getElementById('target-unit');
     this.#distanceTooltip = document.getElementById('distance-tooltip');
     this.#logListItems = document.getElementById('log-list-items');
     this.#logCount = document.getElementById('log-count');
+    this.#unitsBtn = document.getElementById('units-btn');
     this.#emptyState = document.getElementById('empty-state');
+    this.#noMatches = document.getElementById('no-matches');
+    this.#logGroups = document.getElementById('log-groups');
+    this.#logGroupsBody = document.getElementById('log-groups-body');
+    this.#filterForm = document.getElementById('log-filter');
+    this.#filterQuery = document.getElementById('filter-query');
+    this.#filterType = document.getElementById('filter-type');
+    this.#filterMore = document.getElementById('filter-more');
+    this.#filterFrom = document.getElementById('filter-from');
+    this.#filterTo = document.getElementById('filter-to');
+    this.#filterMin = document.getElementById('filter-min');
+    this.#filterMax = document.getElementById('filter-max');
+    this.#filterSort = document.getElementById('filter-sort');
+    this.#filterClear = document.getElementById('filter-clear');
     this.#form = document.getElementById('log-form');
+    this.#formTitle = document.getElementById('form-title');
     this.#formTypeBadge = document.getElementById('form-type-badge');
+    this.#formSubmitBtn = document.getElementById('form-submit-btn');
 
     this.#titleInput = document.getElementById('log-title');
     this.#distanceInput = document.getElementById('log-distance');
+    this.#distanceUnit = document.getElementById('distance-unit');
     this.#durationInput = document.getElementById('log-duration');
+    this.#activityInput = document.getElementById('log-activity');
+    this.#paceLabel = document.getElementById('pace-label');
     this.#paceOutput = document.getElementById('pace-output');
     this.#notesInput = document.getElementById('log-notes');
     this.#distanceField = document.getElementById('distance-field');
     this.#durationField = document.getElementById('duration-field');
+    this.#activityField = document.getElementById('activity-field');
     this.#paceField = document.getElementById('pace-field');
+    this.#categoryInput = document.getElementById('log-category');
+    this.#categoryField = document.getElementById('category-field');
+    this.#photosField = document.getElementById('photos-field');
+    this.#tagsInput = document.getElementById('log-tags');
+    this.#collectionsInput = document.getElementById('log-collections');
+    this.#tagOptions = document.getElementById('tag-options');
+    this.#collectionOptions = document.getElementById('collection-options');
+    this.#photoList = document.getElementById('photo-list');
+    this.#photoAdd = document.getElementById('photo-add');
+    this.#photoInput = document.getElementById('photo-input');
 
     // Delete dialog
     this.#deleteDialog = document.getElementById('delete-dialog');
     this.#deleteMessage = document.getElementById('delete-message');
     this.#deleteCancelBtn = document.getElementById('delete-cancel-btn');
     this.#deleteConfirmBtn = document.getElementById('delete-confirm-btn');
+    this.#deleteWaypointsOption = document.getElementById(
+      'delete-waypoints-option',
+    );
+    this.#deleteWaypointsInput = document.getElementById('delete-waypoints');
+    this.#deleteWaypointsLabel = document.getElementById(
+      'delete-waypoints-label',
+    );
+
+    // Restore dialog
+    this.#restoreDialog = document.getElementById('restore-dialog');
+    this.#restoreMessage = document.getElementById('restore-message');
+
+    // Simplify / densify dialog
+    this.#pathDialog = document.getElementById('path-dialog');
+    this.#pathDialogTitle = document.getElementById('path-dialog-title');
+    this.#pathDialogLabel = document.getElementById('path-dialog-label');
+    this.#pathDialogRange = document.getElementById('path-dialog-range');
+    this.#pathDialogValue = document.getElementById('path-dialog-value');
+    this.#pathDialogPreview = document.getElementById('path-dialog-preview');
 
     // Location overlay
     this.#locationOverlay = document.getElementById('location-overlay');
     this.#requestLocationBtn = document.getElementById('request-location-btn');
     this.#useDefaultBtn = document.getElementById('use-default-btn');
 
+    // Import / notifications
+    this.#importBtn = document.getElementById('import-btn');
+    this.#importInput = document.getElementById('import-input');
+    this.#exportMenu = document.getElementById('export-menu');
+    this.#backupBtn = document.getElementById('backup-btn');
+    this.#statsBtn = document.getElementById('stats-btn');
+    this.#statsDialog = document.getElementById('stats-dialog');
+    this.#statsScope = document.getElementById('stats-scope');
+    this.#statsBody = document.getElementById('stats-body');
+    this.#settingsBtn = document.getElementById('settings-btn');
+    this.#settingsDialog = document.getElementById('settings-dialog');
+    this.#settingsForm = document.getElementById('settings-form');
+    this.#routingUrlInput = document.getElementById('routing-url');
+    this.#routingApiInput = document.getElementById('routing-api');
+    this.#routingProfileInput = document.getElementById('routing-profile');
+    this.#elevationUrlInput = document.getElementById('elevation-url');
+    this.#restoreBtn = document.getElementById('restore-btn');
+    this.#mergeBtn = document.getElementById('merge-btn');
+    this.#restoreInput = document.getElementById('restore-input');
+    this.#toast = document.getElementById('toast');
+
     // Simple selectors for log list
     this.#logList = document.querySelector('.log-list');
     this.#logListHeader = document.querySelector('.log-list__header');
@@ -225,7 +508,7 @@ class App {
       this.#renderLogCard(log);
     });
 
-    this.#updateEmptyState();
+    this.#applyFilter();
   }
 
   /**
@@ -235,6 +518,31 @@ class App {
     // Mode buttons
     this.#drawRouteBtn.addEventListener('click', () => this.#setMode('route'));
     this.#markSpotBtn.addEventListener('click', () => this.#setMode('spot'));
+    this.#measureBtn.addEventListener('click', () => this.#setMode('measure'));
+    this.#measureSaveBtn.addEventListener('click', () => this.#finishRoute());
+    this.#followRoadsBtn.addEventListener('click', () =>
+      this.#toggleFollowRoads(),
+    );
+    this.#autoCloseBtn.addEventListener('click', () => {
+      this.#settings.autoClose = !this.#settings.autoClose;
+      this.#saveSettings();
+      this.#updateModeUI();
+    });
+    this.#routePanelTools.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-command]');
+      if (button) this.#runPathCommand(button.dataset.command);
+    });
+    this.#drawActivityInput.addEventListener('change', (e) =>
+      this.#setDrawActivity(e.target.value),
+    );
+    this.#targetInput.addEventListener('change', (e) =>
+      this.#setTargetPace(parseFloat(e.target.value)),
+    );
+    this.#unitsBtn.addEventListener('click', () =>
+      this.#setUnits(
+        this.#settings.units === 'imperial' ? 'metric' : 'imperial',
+      ),
+    );
 
     // Keyboard shortcuts
     document.addEventListener('keydown', this.#handleKeydown.bind(this));
@@ -250,8 +558,22 @@ class App {
       .getElementById('form-cancel-btn')
       .addEventListener('click', () => this.#closeForm());
 
+    // Spot photos
+    this.#photoInput.addEventListener('change', (e) => {
+      const files = [...e.target.files];
+      e.target.value = '';
+      this.#addFormPhotos(files);
+    });
+    this.#photoList.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-photo]');
+      if (!button) return;
+      this.#formPhotos.splice(Number(button.dataset.photo), 1);
+      this.#renderFormPhotos();
+    });
+
     // Toggle log list bottom sheet on mobile (Click)
-    this.#logListHeader.addEventListener('click', () => {
+    this.#logListHeader.addEventListener('click', (e) => {
+      if (e.target.closest('button')) return; // e.g. the units toggle
       this.#logList.classList.toggle('is-expanded');
     });
 
@@ -285,8 +607,74 @@ class App {
       { passive: true },
     );
 
+    // Import
+    this.#importBtn.addEventListener('click', () => this.#importInput.click());
+    this.#importInput.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (file) this.#importFile(file);
+    });
+
+    // Export whole collection
+    this.#exportMenu.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-format]');
+      if (!item) return;
+      this.#exportMenu.removeAttribute('open');
+      this.#exportAll(item.dataset.format);
+    });
+
+    // Backup / restore
+    this.#backupBtn.addEventListener('click', () => this.#downloadBackup());
+
+    // Training stats
+    this.#statsBtn.addEventListener('click', () => this.#openStats());
+    document
+      .getElementById('stats-close-btn')
+      .addEventListener('click', () => this.#statsDialog.close());
+
+    // Settings
+    this.#settingsBtn.addEventListener('click', () => this.#openSettings());
+    document
+      .getElementById('settings-cancel-btn')
+      .addEventListener('click', () => this.#settingsDialog.close());
+    this.#settingsForm.addEventListener('submit', (e) => {
+      e.preventDefault();
+      this.#submitSettings();
+    });
+    this.#restoreBtn.addEventListener('click', () =>
+      this.#restoreInput.click(),
+    );
+    this.#restoreInput.addEventListener('change', (e) => {
+      const [file] = e.target.files;
+      e.target.value = '';
+      if (file) this.#readBackup(file);
+    });
+
+    // Merge checked routes
+    this.#mergeBtn.addEventListener('click', () => this.#mergeSelectedRoutes());
+
     // Pace calculation
     this.#durationInput.addEventListener('input', this.#updatePace.bind(this));
+    this.#activityInput.addEventListener('change', this.#updatePace.bind(this));
+
+    // Search, filter and sort
+    this.#filterForm.addEventListener('input', () =>
+      this.#setFilter(this.#readFilterForm()),
+    );
+    this.#filterForm.addEventListener('submit', (e) => e.preventDefault());
+    this.#filterForm.addEventListener('reset', (e) => {
+      e.preventDefault();
+      this.#setFilter({ ...DEFAULT_FILTER });
+      this.#renderFilterForm();
+    });
+
+    // Collections and tags
+    this.#logGroupsBody.addEventListener('click', (e) => {
+      const button = e.target.closest('[data-action]');
+      if (!button) return;
+      button.closest('details.dropdown')?.removeAttribute('open');
+      this.#handleGroupAction(button.dataset);
+    });
 
     // Log list delegation
     this.#logListItems.addEventListener(
@@ -309,12 +697,40 @@ class App {
       this.#confirmDelete(),
     );
     this.#deleteCancelBtn.addEventListener('click', () => this.#cancelDelete());
+
+    // Restore dialog
+    document
+      .getElementById('restore-merge-btn')
+      .addEventListener('click', () => this.#confirmRestore('merge'));
+    document
+      .getElementById('restore-replace-btn')
+      .addEventListener('click', () => this.#confirmRestore('replace'));
+    document
+      .getElementById('restore-cancel-btn')
+      .addEventListener('click', () => this.#cancelRestore());
+
+    // Simplify / densify dialog
+    this.#pathDialogRange.addEventListener('input', () =>
+      this.#previewPathTool(),
+    );
+    document
+      .getElementById('path-apply-btn')
+      .addEventListener('click', () => this.#applyPathTool());
+    document
+      .getElementById('path-cancel-btn')
+      .addEventListener('click', () => this.#closePathTool());
+    this.#pathDialog.addEventListener('close', () => {
+      this.#pendingPathTool = null;
+    });
   }
 
   /**
    * Set drawing mode
    */
   #setMode(mode) {
+    // Leaving path edit discards uncommitted changes
+    if (this.#mode === 'edit') this.#exitEditing();
+
     if (this.#mode === mode) {
       // Toggle off
       this.#mode = 'none';
@@ -337,8 +753,10 @@ class App {
     // Reset buttons
     this.#drawRouteBtn.classList.remove('control-dock__btn--active');
     this.#markSpotBtn.classList.remove('control-dock__btn--active');
+    this.#measureBtn.classList.remove('control-dock__btn--active');
     this.#drawRouteBtn.setAttribute('aria-pressed', 'false');
     this.#markSpotBtn.setAttribute('aria-pressed', 'false');
+    this.#measureBtn.setAttribute('aria-pressed', 'false');
 
     // Reset cursor
     mapEl.classList.remove('map--drawing');
@@ -351,13 +769,89 @@ class App {
       this.#markSpotBtn.classList.add('control-dock__btn--active');
       this.#markSpotBtn.setAttribute('aria-pressed', 'true');
       mapEl.classList.add('map--drawing');
+    } else if (this.#mode === 'measure') {
+      this.#measureBtn.classList.add('control-dock__btn--active');
+      this.#measureBtn.setAttribute('aria-pressed', 'true');
+      mapEl.classList.add('map--drawing');
     }
 
+    // Route panel hint depends on whether we draw, edit or measure
+    this.#routePanelHint.innerHTML =
+      {
+        edit: 'Drag points · Right-click to remove · <kbd>Shift</kbd>-click to split · <kbd>Enter</kbd> to save',
+        measure:
+          '<kbd>Enter</kbd> to save as route · <kbd>Esc</kbd> to discard',
+      }[this.#mode] ?? 'Press <kbd>Enter</kbd> or double-click to finish';
+
+    // Routing, auto-close and planning only apply while drawing
+    const isDrawingRoute = this.#mode === 'route';
+    this.#followRoadsBtn.hidden = !isDrawingRoute;
+    this.#autoCloseBtn.hidden = !isDrawingRoute;
+    this.#routePanelPlan.hidden = !isDrawingRoute;
+    this.#routePanelTools.hidden = this.#mode === 'measure';
+    this.#measureSaveBtn.hidden = this.#mode !== 'measure';
+    this.#autoCloseBtn.setAttribute(
+      'aria-pressed',
+      String(this.#settings.autoClose),
+    );
+    this.#followRoadsBtn.setAttribute(
+      'aria-pressed',
+      String(this.#settings.followRoads),
+    );
+
     // Show/hide route panel
     this.#routePanel.classList.toggle(
       'route-panel--visible',
-      this.#mode === 'route' && this.#routePoints.length > 0,
+      (['route', 'measure'].includes(this.#mode) &&
+        this.#routePoints.length > 0) ||
+        this.#mode === 'edit',
     );
+
+    this.#updateMeasurement();
+  }
+
+  /**
+   * Area and segment bearings of the measurement (cleared in other modes)
+   */
+  #updateMeasurement() {
+    if (this.#measureOverlay) {
+      this.#map.removeLayer(this.#measureOverlay);
+      this.#measureOverlay = null;
+    }
+
+    const points = this.#routePoints;
+    const isMeasuring = this.#mode === 'measure';
+    this.#measureArea.textContent =
+      isMeasuring && points.length >= 3
+        ? `Area ${formatArea(polygonArea(points), this.#settings.units)}`
+        : '';
+    if (!isMeasuring || points.length < 2) return;
+
+    const labels = points.slice(1).map((point, i) => {
+      const prev = points[i];
+      return L.marker([(prev[0] + point[0]) / 2, (prev[1] + point[1]) / 2], {
+        icon: L.divIcon({
+          className: 'measure-label',
+          html: `<span>${formatBearing(bearing(prev, point))}</span>`,
+          iconSize: null,
+        }),
+        interactive: false,
+        keyboard: false,
+      });
+    });
+    const area =
+      points.length >= 3
+        ? [
+            L.polygon(points, {
+              stroke: false,
+              fillColor: '#000000',
+              fillOpacity: 0.1,
+              interactive: false,
+            }),
+          ]
+        : [];
+
+    this.#measureOverlay = L.layerGroup([...area, ...labels]).addTo(this.#map);
   }
 
   /**
@@ -370,42 +864,463 @@ class App {
     const point = [lat, lng];
 
     if (this.#mode === 'route') {
-      // Check for loop closing - if clicking near start point
-      if (this.#routePoints.length >= 2) {
-        const startPoint = this.#routePoints[0];
-        const distanceToStart = this.#haversineDistance(point, startPoint);
-
-        // If within 50 meters of start, close the loop
-        if (distanceToStart < 0.05) {
-          // 0.05 km = 50 meters
-          this.#closeLoop();
-          return;
+      // Shift-click switches between routed and freehand for one segment
+      const routed =
+        this.#settings.followRoads !== Boolean(e.originalEvent?.shiftKey);
+      this.#queueRouteSegment(point, routed);
+    } else if (this.#mode === 'spot') {
+      this.#addSpot(point);
+    } else if (this.#mode === 'measure') {
+      // Measuring is always straight lines
+      const before = this.#snapshotRoutePoints();
+      this.#addRoutePoint(point);
+      this.#recordPathChange(before);
+    }
+  }
+
+  /**
+   * Run a drawing step after any segments that are still routing
+   * @param {Function} task - Receives the drawing session it belongs to
+   */
+  #queueDrawing(task) {
+    const session = this.#drawingSession;
+
+    // A failed task is reported and skipped so later ones still run
+    this.#segmentQueue = this.#segmentQueue
+      .then(() => {
+        if (session === this.#drawingSession && this.#mode === 'route') {
+          return task(session);
         }
+      })
+      .catch((e) => {
+        console.error('Drawing step failed:', e);
+        this.#showToast('That drawing step failed - try again');
+      });
+  }
+
+  /**
+   * Queue a segment to the clicked point
+   * @param {Object} options - close: route back to the start and finish
+   */
+  #queueRouteSegment(point, routed, { close = false } = {}) {
+    this.#queueDrawing((session) =>
+      this.#addRouteSegment(point, routed, session, close),
+    );
+  }
+
+  /**
+   * Extend the route to a point, straight or along roads
+   * @param {number} session - Drawing session the click belongs to
+   * @param {boolean} close - Go back to the start instead of to the point
+   */
+  async #addRouteSegment(point, routed, session, close = false) {
+    const isCurrent = () =>
+      session === this.#drawingSession && this.#mode === 'route';
+    if (!isCurrent()) return;
+
+    // Clicking within 50 m of the start closes the loop (if auto-close is on)
+    const start = this.#routePoints[0];
+    const closesLoop =
+      this.#routeVertices.length >= 2 &&
+      (close ||
+        (this.#settings.autoClose &&
+          this.#haversineDistance(point, start) < 0.05));
+    if (close && !closesLoop) return;
+    if (closesLoop) point = [...start];
+
+    let path = [point];
+    if (routed && this.#routePoints.length > 0) {
+      path = await this.#routeSegment(this.#routePoints.at(-1), point);
+      if (!isCurrent()) return;
+    }
+
+    // Intermediate points are geometry only; the segment end is a vertex
+    const before = this.#snapshotRoutePoints();
+    this.#routePoints.push(...path.slice(0, -1));
+    this.#addRoutePoint(path.at(-1));
+    this.#recordPathChange(before);
+
+    if (closesLoop) this.#finishRoute();
+  }
+
+  /**
+   * Path along roads between two points (a straight line if routing fails)
+   */
+  async #routeSegment(from, to) {
+    this.#followRoadsBtn.classList.add('route-panel__toggle--busy');
+
+    try {
+      const { coords } = await this.#router.route(from, to);
+      return coords;
+    } catch (e) {
+      console.warn('Routing failed:', e);
+      this.#showToast('Could not follow roads here - added a straight line');
+      return [to];
+    } finally {
+      this.#followRoadsBtn.classList.remove('route-panel__toggle--busy');
+    }
+  }
+
+  /**
+   * Run a path command on the route being drawn or edited
+   * @param {string} command - Key of PATH_TRANSFORMS
+   */
+  #runPathCommand(command) {
+    if (this.#mode === 'route') {
+      if (command === 'close-loop') {
+        this.#queueRouteSegment(null, this.#settings.followRoads, {
+          close: true,
+        });
+      } else {
+        this.#queueDrawing(() => this.#transformDrawnPath(command));
       }
+    } else if (this.#mode === 'edit') {
+      this.#transformDrawnPath(command);
+    }
+  }
 
-      this.#addRoutePoint(point);
-    } else if (this.#mode === 'spot') {
-      this.#addSpot(point);
+  /**
+   * Transform #routePoints, keeping drawn vertices on their points
+   * Out-and-back ends where the route started, so drawing finishes
+   */
+  #transformDrawnPath(command) {
+    const n = this.#routePoints.length;
+    if (n < 2) return;
+
+    const before = this.#snapshotRoutePoints();
+    const points = PATH_TRANSFORMS[command](this.#routePoints);
+    const vertices = this.#transformVertices(
+      command,
+      this.#routeVertices,
+      n,
+      points.length,
+    );
+
+    this.#restoreRoutePoints({ points, vertices });
+    this.#recordPathChange(before);
+
+    if (this.#mode === 'route' && command === 'out-and-back') {
+      this.#finishRoute();
     }
   }
 
   /**
-   * Close the route as a loop
+   * Where user-placed vertices land after a path command
+   * @param {number} n - Points before the command
+   * @param {number} length - Points after the command
    */
-  #closeLoop() {
-    // Add the starting point again to close the loop
-    const startPoint = [...this.#routePoints[0]];
-    this.#routePoints.push(startPoint);
+  #transformVertices(command, vertices, n, length) {
+    if (command === 'reverse') {
+      return vertices.map((i) => n - 1 - i).reverse();
+    }
+    if (command === 'out-and-back') {
+      const back = vertices
+        .filter((i) => i < n - 1)
+        .reverse()
+        .map((i) => 2 * (n - 1) - i);
+      return [...vertices, ...back];
+    }
+    return length > n ? [...vertices, n] : vertices;
+  }
 
-    // Update polyline
-    this.#currentPolyline.setLatLngs(this.#routePoints);
+  /**
+   * Run a path command on a saved route (undoable)
+   */
+  #transformSavedRoute(logId, command) {
+    const log = this.#logs.find((l) => l.id === logId);
+    if (!log || log.type !== 'route') return;
 
-    // Recalculate distance
-    this.#currentDistance = this.#calculateTotalDistance(this.#routePoints);
+    const coords = PATH_TRANSFORMS[command](log.coords);
+    this.#changeSavedPath(log, {
+      coords,
+      distance: this.#calculateTotalDistance(coords),
+      vertices: this.#transformVertices(
+        command,
+        log.vertices,
+        log.coords.length,
+        coords.length,
+      ),
+    });
+  }
+
+  /**
+   * Give a saved route a new path (undoable)
+   */
+  #changeSavedPath(log, after) {
+    const before = {
+      coords: log.coords,
+      distance: log.distance,
+      vertices: log.vertices,
+    };
+
+    this.#applyRouteCoords(log, after);
+    this.#history.push({
+      undo: () => this.#applyRouteCoords(log, before),
+      redo: () => this.#applyRouteCoords(log, after),
+    });
+  }
+
+  /**
+   * Open the simplify/densify dialog for a saved route
+   * @param {string} tool - Key of PATH_TOOLS
+   */
+  #openPathTool(logId, tool) {
+    const log = this.#logs.find((l) => l.id === logId);
+    if (!log || log.type !== 'route') return;
+
+    const { title, label, min, max, value } = PATH_TOOLS[tool];
+    this.#pendingPathTool = { logId, tool };
+    this.#pathDialogTitle.textContent = title;
+    this.#pathDialogLabel.textContent = label;
+    Object.assign(this.#pathDialogRange, { min, max, value });
+
+    this.#previewPathTool();
+    this.#pathDialog.showModal();
+  }
+
+  /**
+   * Run the pending tool at the slider's setting
+   * @returns {{log: Route, coords: Array, distance: number, vertices: Array} | null}
+   */
+  #runPathTool() {
+    const { logId, tool } = this.#pendingPathTool ?? {};
+    const log = this.#logs.find((l) => l.id === logId);
+    if (!log) return null;
+
+    const meters = Number(this.#pathDialogRange.value);
+    const { points, positions } = PATH_TOOLS[tool].run(log.coords, meters);
+    return {
+      log,
+      coords: points,
+      distance: this.#calculateTotalDistance(points),
+      vertices: log.vertices.map((i) => positions[i]).filter((i) => i >= 0),
+    };
+  }
+
+  /**
+   * Show the setting and how the point count and distance would change
+   */
+  #previewPathTool() {
+    const result = this.#runPathTool();
+    if (!result) return;
+
+    const { units } = this.#settings;
+    const { log, coords, distance } = result;
+    const percent = log.distance > 0 ? (distance / log.distance - 1) * 100 : 0;
+    const change = Math.round(percent * 10) / 10 || 0; // No "-0.0"
+
+    this.#pathDialogValue.textContent = formatElevation(
+      Number(this.#pathDialogRange.value),
+      units,
+    );
+    this.#pathDialogPreview.textContent =
+      `${log.coords.length} → ${coords.length} points · ` +
+      `${formatDistance(log.distance, units)} → ${formatDistance(distance, units)} ` +
+      `(${change > 0 ? '+' : ''}${change.toFixed(1)}%)`;
+  }
+
+  /**
+   * Replace the route's path with the previewed result (undoable)
+   */
+  #applyPathTool() {
+    const result = this.#runPathTool();
+    this.#closePathTool();
+    if (!result) return;
+
+    const { log, ...after } = result;
+    this.#changeSavedPath(log, after);
+  }
+
+  /**
+   * Close the simplify/densify dialog without changes
+   */
+  #closePathTool() {
+    this.#pendingPathTool = null;
+    this.#pathDialog.close();
+  }
+
+  /**
+   * Split the route being edited at a vertex (uncommitted edits included)
+   */
+  #splitEditedRoute(index) {
+    const log = this.#logs.find((l) => l.id === this.#editingRouteId);
+    if (!log) return;
+
+    if (index <= 0 || index >= this.#routePoints.length - 1) {
+      this.#showToast('Pick a point between the start and the end to split');
+      return;
+    }
+
+    const halves = splitRoute(
+      log,
+      index,
+      this.#routePoints,
+      this.#routeVertices,
+    );
+
+    // Each attached spot goes with the half it is closest to
+    const offsets = (spot) =>
+      halves.map((half) => projectOntoPath(half.coords, spot.coords).offset);
+    halves.forEach((half, i) =>
+      half.setWaypoints(
+        this.#waypointsOf(log)
+          .filter((spot) => {
+            const [first, second] = offsets(spot);
+            return i === 0 ? first <= second : second < first;
+          })
+          .map((spot) => spot.id),
+      ),
+    );
+
+    this.#exitEditing();
+    this.#swapRoutes([log], halves);
+    this.#showToast(`Split "${log.title}" in two`);
+  }
+
+  /**
+   * Merge the checked routes, joined in list order
+   */
+  #mergeSelectedRoutes() {
+    const routes = this.#logs.filter((l) => this.#mergeSelection.has(l.id));
+    if (routes.length < 2) return;
+
+    this.#mergeSelection.clear();
+    this.#swapRoutes(routes, [mergeRoutes(routes)]);
+    this.#updateMergeUI();
+    this.#showToast(`Merged ${routes.length} routes`);
+  }
+
+  /**
+   * Replace logs with the results of a split or merge (undoable)
+   * New logs take the list position of the first old one
+   */
+  #swapRoutes(oldLogs, newLogs) {
+    const indexes = oldLogs.map((log) => this.#logs.indexOf(log));
+    const start = Math.min(...indexes);
+
+    const apply = () => {
+      oldLogs.forEach((log) => this.#removeLog(log.id));
+      newLogs.forEach((log, i) => this.#addLog(log, start + i));
+    };
+    const revert = () => {
+      newLogs.forEach((log) => this.#removeLog(log.id));
+      // Re-insert in ascending position so each index is still valid
+      oldLogs
+        .map((log, i) => [log, indexes[i]])
+        .sort((a, b) => a[1] - b[1])
+        .forEach(([log, index]) => this.#addLog(log, index));
+    };
+
+    apply();
+    newLogs.forEach((log) => this.#fillElevation(log));
+    this.#history.push({ undo: revert, redo: apply });
+  }
+
+  /**
+   * Check or uncheck a route for merging
+   */
+  #toggleMergeSelection(logId) {
+    if (!this.#mergeSelection.delete(logId)) this.#mergeSelection.add(logId);
+    this.#updateMergeUI();
+  }
+
+  /**
+   * Mark checked cards and show the merge button for two or more routes
+   */
+  #updateMergeUI() {
+    this.#logListItems.querySelectorAll('.log-card').forEach((card) => {
+      card.classList.toggle(
+        'log-card--checked',
+        this.#mergeSelection.has(card.dataset.id),
+      );
+    });
+
+    const count = this.#mergeSelection.size;
+    this.#mergeBtn.hidden = count < 2;
+    this.#mergeBtn.querySelector('span').textContent = `Merge ${count} routes`;
+  }
+
+  /**
+   * Label every km (or mile) along the selected route, if enabled
+   */
+  #showDistanceMarkers(log) {
+    this.#hideDistanceMarkers();
+    if (!this.#settings.distanceMarkers) return;
+
+    const { kmPerUnit } = unitsOf(this.#settings.units);
+    const markers = pointsAlong(log.coords, kmPerUnit).map(
+      ({ point, distance }) =>
+        L.marker(point, {
+          icon: L.divIcon({
+            className: 'distance-marker',
+            html: String(Math.round(distance / kmPerUnit)),
+            iconSize: [20, 20],
+          }),
+          interactive: false,
+          keyboard: false,
+        }),
+    );
+    this.#distanceMarkers = L.layerGroup(markers).addTo(this.#map);
+  }
+
+  /**
+   * Remove the selected route's distance markers
+   */
+  #hideDistanceMarkers() {
+    if (!this.#distanceMarkers) return;
+    this.#map.removeLayer(this.#distanceMarkers);
+    this.#distanceMarkers = null;
+  }
+
+  /**
+   * Turn distance markers on or off (persisted)
+   */
+  #toggleDistanceMarkers() {
+    this.#settings.distanceMarkers = !this.#settings.distanceMarkers;
+    this.#saveSettings();
+
+    const log = this.#logs.find((l) => l.id === this.#selectedRouteId);
+    if (log) this.#showDistanceMarkers(log);
+    this.#logs.forEach((l) => this.#updateLogCard(l));
+  }
+
+  /**
+   * Switch the display unit system and re-render everything showing units
+   */
+  #setUnits(units) {
+    this.#settings.units = units;
+    this.#saveSettings();
+    this.#refreshUnits();
+  }
+
+  /**
+   * Re-render cards, popups and the route panel in the current units
+   */
+  #refreshUnits() {
+    const { label, distance } = unitsOf(this.#settings.units);
+    this.#unitsBtn.textContent = distance;
+    this.#unitsBtn.setAttribute('aria-label', `Units: ${label}`);
+    this.#updateTargetInput();
+    this.#renderFilterForm();
+
+    this.#logs.forEach((log) => {
+      this.#drawnLayers.get(log.id)?.setPopupContent(this.#popupHTML(log));
+      this.#updateLogCard(log);
+    });
     this.#updateDistanceDisplay();
+    this.#updateMeasurement();
 
-    // Finish the route
-    this.#finishRoute();
+    const selected = this.#logs.find((l) => l.id === this.#selectedRouteId);
+    if (selected) this.#showDistanceMarkers(selected);
+  }
+
+  /**
+   * Switch "follow roads" for new segments on or off
+   */
+  #toggleFollowRoads() {
+    this.#settings.followRoads = !this.#settings.followRoads;
+    this.#saveSettings();
+    this.#updateModeUI();
   }
 
   /**
@@ -422,9 +1337,32 @@ class App {
    * Handle keyboard events
    */
   #handleKeydown(e) {
+    if ((e.ctrlKey || e.metaKey) && ['z', 'y'].includes(e.key.toLowerCase())) {
+      this.#handleUndoShortcut(e);
+      return;
+    }
+
+    if (e.key === 'Enter' && this.#mode === 'edit') {
+      this.#finishEditing();
+      return;
+    }
+
+    // Path commands while drawing or editing (not while typing)
+    const command = PATH_KEYS[e.key.toLowerCase()];
+    if (
+      command &&
+      (this.#mode === 'route' || this.#mode === 'edit') &&
+      !(e.ctrlKey || e.metaKey || e.altKey) &&
+      !['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName)
+    ) {
+      this.#runPathCommand(command);
+      return;
+    }
+
+    // Finishing a measurement keeps it as a route
     if (
       e.key === 'Enter' &&
-      this.#mode === 'route' &&
+      ['route', 'measure'].includes(this.#mode) &&
       this.#routePoints.length >= 2
     ) {
       this.#finishRoute();
@@ -433,33 +1371,72 @@ class App {
     if (e.key === 'Escape') {
       if (this.#form.open) {
         this.#closeForm();
+      } else if (this.#mode === 'edit') {
+        this.#exitEditing();
       } else if (this.#isDrawing) {
         this.#cancelDrawing();
       }
     }
   }
 
+  /**
+   * Ctrl+Z undoes, Ctrl+Shift+Z / Ctrl+Y redoes
+   * Drawing and path edit have their own history; otherwise log operations
+   */
+  #handleUndoShortcut(e) {
+    // Leave native undo to text fields and open dialogs
+    if (
+      ['INPUT', 'TEXTAREA', 'SELECT'].includes(e.target.tagName) ||
+      this.#form.open ||
+      this.#deleteDialog.open
+    ) {
+      return;
+    }
+
+    e.preventDefault();
+
+    const isRedo = e.key.toLowerCase() === 'y' || e.shiftKey;
+    const stack = ['route', 'edit', 'measure'].includes(this.#mode)
+      ? this.#drawHistory
+      : this.#history;
+
+    if (isRedo) {
+      stack.redo();
+    } else {
+      stack.undo();
+    }
+  }
+
   /**
    * Handle mouse move for distance tooltip
    */
   #handleMouseMove(e) {
-    if (this.#mode !== 'route' || this.#routePoints.length === 0) {
+    const isMeasuring = this.#mode === 'measure';
+    if (
+      !(this.#mode === 'route' || isMeasuring) ||
+      this.#routePoints.length === 0
+    ) {
       this.#distanceTooltip.classList.remove('distance-tooltip--visible');
       return;
     }
 
     // Calculate distance to potential next point
     const lastPoint = this.#routePoints[this.#routePoints.length - 1];
-    const potentialDistance = this.#haversineDistance(lastPoint, [
-      e.latlng.lat,
-      e.latlng.lng,
-    ]);
+    const cursor = [e.latlng.lat, e.latlng.lng];
+    const potentialDistance = this.#haversineDistance(lastPoint, cursor);
     const totalDistance = this.#currentDistance + potentialDistance;
 
     // Position tooltip
     this.#distanceTooltip.style.left = `${e.containerPoint.x + 15}px`;
     this.#distanceTooltip.style.top = `${e.containerPoint.y - 10}px`;
-    this.#distanceTooltip.textContent = `${totalDistance.toFixed(2)} km`;
+    this.#distanceTooltip.textContent = `${formatDistance(
+      totalDistance,
+      this.#settings.units,
+    )} · ${
+      isMeasuring
+        ? formatBearing(bearing(lastPoint, cursor))
+        : formatDuration(this.#projectedMinutes(totalDistance))
+    }`;
     this.#distanceTooltip.classList.add('distance-tooltip--visible');
   }
 
@@ -468,16 +1445,10 @@ class App {
    */
   #addRoutePoint(point) {
     this.#routePoints.push(point);
+    this.#routeVertices.push(this.#routePoints.length - 1);
 
     // Add vertex marker
-    const marker = L.circleMarker(point, {
-      radius: 5,
-      fillColor: '#000000',
-      fillOpacity: 1,
-      color: '#ffffff',
-      weight: 2,
-    }).addTo(this.#map);
-    this.#vertexMarkers.push(marker);
+    this.#vertexMarkers.push(this.#createVertexMarker(point));
 
     // Update or create polyline
     if (this.#routePoints.length >= 2) {
@@ -500,13 +1471,83 @@ class App {
   }
 
   /**
-   * Add a spot marker
+   * Create a (non-draggable) vertex marker for the route being drawn
    */
-  #addSpot(point) {
-    // Immediately open form for spot
-    this.#mode = 'none';
-    this.#isDrawing = false;
-    this.#updateModeUI();
+  #createVertexMarker(point) {
+    return L.circleMarker(point, {
+      radius: 5,
+      fillColor: '#000000',
+      fillOpacity: 1,
+      color: '#ffffff',
+      weight: 2,
+    }).addTo(this.#map);
+  }
+
+  /**
+   * Copy of the current route points (and drawn vertices) for undo history
+   */
+  #snapshotRoutePoints() {
+    return {
+      points: this.#routePoints.map((point) => [...point]),
+      vertices: [...this.#routeVertices],
+    };
+  }
+
+  /**
+   * Record a drawing/edit change from a snapshot taken before it
+   */
+  #recordPathChange(before) {
+    const after = this.#snapshotRoutePoints();
+    this.#drawHistory.push({
+      undo: () => this.#restoreRoutePoints(before),
+      redo: () => this.#restoreRoutePoints(after),
+    });
+  }
+
+  /**
+   * Replace the points being drawn/edited and rebuild markers, polyline and distance
+   */
+  #restoreRoutePoints({ points, vertices }) {
+    this.#routePoints = points.map((point) => [...point]);
+    this.#routeVertices = [...vertices];
+
+    if (this.#routePoints.length >= 2) {
+      if (this.#currentPolyline) {
+        this.#currentPolyline.setLatLngs(this.#routePoints);
+      } else {
+        this.#currentPolyline = L.polyline(this.#routePoints, {
+          color: '#000000',
+          weight: 3,
+          dashArray: '8, 8',
+        }).addTo(this.#map);
+      }
+    } else if (this.#currentPolyline) {
+      this.#map.removeLayer(this.#currentPolyline);
+      this.#currentPolyline = null;
+    }
+
+    if (this.#mode === 'edit') {
+      this.#renderEditHandles();
+    } else {
+      this.#vertexMarkers.forEach((m) => this.#map.removeLayer(m));
+      this.#vertexMarkers = this.#routeVertices.map((i) =>
+        this.#createVertexMarker(this.#routePoints[i]),
+      );
+    }
+
+    this.#currentDistance = this.#calculateTotalDistance(this.#routePoints);
+    this.#updateDistanceDisplay();
+    this.#updateModeUI();
+  }
+
+  /**
+   * Add a spot marker
+   */
+  #addSpot(point) {
+    // Immediately open form for spot
+    this.#mode = 'none';
+    this.#isDrawing = false;
+    this.#updateModeUI();
 
     // Store point temporarily
     this.#routePoints = [point];
@@ -538,6 +1579,17 @@ class App {
     this.#updateModeUI();
   }
 
+  /**
+   * Abort whatever drawing or path edit is in progress
+   */
+  #stopInteraction() {
+    if (this.#mode === 'edit') {
+      this.#exitEditing();
+    } else if (this.#mode !== 'none') {
+      this.#cancelDrawing();
+    }
+  }
+
   /**
    * Clear drawing state
    */
@@ -548,33 +1600,319 @@ class App {
       this.#currentPolyline = null;
     }
 
-    // Remove vertex markers
+    // Remove vertex and midpoint markers
     this.#vertexMarkers.forEach((m) => this.#map.removeLayer(m));
     this.#vertexMarkers = [];
+    this.#midpointMarkers.forEach((m) => this.#map.removeLayer(m));
+    this.#midpointMarkers = [];
 
-    // Reset state
+    // Reset state (and drop segments still being routed)
     this.#routePoints = [];
+    this.#routeVertices = [];
+    this.#drawingSession++;
     this.#currentDistance = 0;
+    this.#drawHistory.clear();
     this.#distanceTooltip.classList.remove('distance-tooltip--visible');
     this.#updateDistanceDisplay();
   }
 
+  /**
+   * Enter path edit mode for a saved route
+   */
+  #startEditing(logId) {
+    const log = this.#logs.find((l) => l.id === logId);
+    if (!log || log.type !== 'route') return;
+
+    // Drop any in-progress drawing or edit and the selection
+    this.#stopInteraction();
+    this.#deselectRoute();
+
+    // Hide the saved layer while its path is edited
+    this.#removeLogFromMap(logId);
+
+    this.#editingRouteId = logId;
+    this.#mode = 'edit';
+    this.#routePoints = log.coords.map((point) => [...point]);
+    this.#routeVertices = [...log.vertices];
+    this.#currentPolyline = L.polyline(this.#routePoints, {
+      color: '#000000',
+      weight: 3,
+      dashArray: '8, 8',
+    }).addTo(this.#map);
+
+    this.#currentDistance = this.#calculateTotalDistance(this.#routePoints);
+    this.#renderEditHandles();
+    this.#updateDistanceDisplay();
+    this.#updateModeUI();
+  }
+
+  /**
+   * Rebuild draggable vertex and midpoint markers for edit mode. Only
+   * user-placed points get a handle; road-following points between them
+   * stay put.
+   */
+  #renderEditHandles() {
+    this.#vertexMarkers.forEach((m) => this.#map.removeLayer(m));
+    this.#midpointMarkers.forEach((m) => this.#map.removeLayer(m));
+
+    const vertexIcon = L.divIcon({
+      className: 'edit-vertex',
+      iconSize: [14, 14],
+    });
+    const midpointIcon = L.divIcon({
+      className: 'edit-midpoint',
+      iconSize: [10, 10],
+    });
+
+    this.#vertexMarkers = this.#routeVertices.map((i) => {
+      const marker = L.marker(this.#routePoints[i], {
+        icon: vertexIcon,
+        draggable: true,
+        keyboard: false,
+      }).addTo(this.#map);
+
+      let before;
+      marker.on('dragstart', () => (before = this.#snapshotRoutePoints()));
+      marker.on('drag', (e) => this.#moveVertex(i, e.target.getLatLng()));
+      marker.on('dragend', () => {
+        this.#recordPathChange(before);
+        this.#renderEditHandles();
+      });
+      marker.on('contextmenu', (e) => {
+        L.DomEvent.preventDefault(e.originalEvent);
+        this.#removeVertex(i);
+      });
+      marker.on('click', (e) => {
+        if (e.originalEvent.shiftKey) this.#splitEditedRoute(i);
+      });
+
+      return marker;
+    });
+
+    this.#midpointMarkers = this.#routeVertices.slice(1).map((end, k) => {
+      const start = this.#routeVertices[k];
+      const straight = end - start === 1;
+      const middle = Math.round((start + end) / 2); // Equals end when straight
+      const [from, to] = [this.#routePoints[start], this.#routePoints[end]];
+      const marker = L.marker(
+        straight
+          ? [(from[0] + to[0]) / 2, (from[1] + to[1]) / 2]
+          : this.#routePoints[middle],
+        { icon: midpointIcon, draggable: true, keyboard: false },
+      ).addTo(this.#map);
+
+      // Dragging a midpoint turns the middle point of a segment into a
+      // vertex, inserting one into a straight segment
+      let before;
+      marker.on('dragstart', (e) => {
+        before = this.#snapshotRoutePoints();
+        if (straight) {
+          const { lat, lng } = e.target.getLatLng();
+          this.#routePoints.splice(end, 0, [lat, lng]);
+          this.#routeVertices = this.#routeVertices.map((i) =>
+            i >= end ? i + 1 : i,
+          );
+        }
+        this.#routeVertices.splice(k + 1, 0, middle);
+      });
+      marker.on('drag', (e) => this.#moveVertex(middle, e.target.getLatLng()));
+      marker.on('dragend', () => {
+        this.#recordPathChange(before);
+        this.#renderEditHandles();
+      });
+
+      return marker;
+    });
+  }
+
+  /**
+   * Move a vertex while dragging and keep polyline/distance in sync
+   */
+  #moveVertex(index, latlng) {
+    this.#routePoints[index] = [latlng.lat, latlng.lng];
+    this.#currentPolyline.setLatLngs(this.#routePoints);
+    this.#currentDistance = this.#calculateTotalDistance(this.#routePoints);
+    this.#updateDistanceDisplay();
+  }
+
+  /**
+   * Remove a vertex (a route keeps at least two). Removing the start or
+   * end also drops the segment that led to it.
+   */
+  #removeVertex(index) {
+    const vertices = this.#routeVertices;
+    if (vertices.length <= 2) return;
+
+    // Points to drop: from (inclusive) to (exclusive)
+    let [from, to] = [index, index + 1];
+    if (index === vertices[0]) to = vertices[1];
+    if (index === vertices.at(-1)) from = vertices.at(-2) + 1;
+
+    const before = this.#snapshotRoutePoints();
+    this.#routePoints.splice(from, to - from);
+    this.#routeVertices = vertices
+      .filter((i) => i !== index)
+      .map((i) => (i >= to ? i - (to - from) : i));
+    this.#recordPathChange(before);
+    this.#currentPolyline.setLatLngs(this.#routePoints);
+    this.#currentDistance = this.#calculateTotalDistance(this.#routePoints);
+    this.#updateDistanceDisplay();
+    this.#renderEditHandles();
+  }
+
+  /**
+   * Commit edited path to the route and persist
+   */
+  #finishEditing() {
+    const log = this.#logs.find((l) => l.id === this.#editingRouteId);
+    if (!log) return;
+
+    const before = {
+      coords: log.coords,
+      distance: log.distance,
+      vertices: log.vertices,
+    };
+    const after = {
+      coords: [...this.#routePoints],
+      distance: this.#currentDistance,
+      vertices: [...this.#routeVertices],
+    };
+
+    log.updateCoords(after.coords, after.distance, after.vertices);
+    log.touch();
+    this.#exitEditing();
+    this.#saveLogs([log]);
+    this.#fillElevation(log);
+
+    this.#history.push({
+      undo: () => this.#applyRouteCoords(log, before),
+      redo: () => this.#applyRouteCoords(log, after),
+    });
+  }
+
+  /**
+   * Set a saved route's path (undo/redo of path edits)
+   */
+  #applyRouteCoords(log, { coords, distance, vertices }) {
+    if (this.#editingRouteId === log.id) this.#exitEditing();
+
+    log.updateCoords(coords, distance, vertices);
+    log.touch();
+
+    if (this.#drawnLayers.has(log.id)) {
+      this.#removeLogFromMap(log.id);
+      this.#renderLogOnMap(log);
+    }
+    if (this.#selectedRouteId === log.id) this.#showDistanceMarkers(log);
+    this.#updateLogCard(log);
+    this.#applyFilter();
+    this.#saveLogs([log]);
+    this.#fillElevation(log);
+  }
+
+  /**
+   * Leave edit mode and re-render the route (uncommitted changes are discarded)
+   */
+  #exitEditing() {
+    const log = this.#logs.find((l) => l.id === this.#editingRouteId);
+
+    this.#clearDrawingState();
+    this.#editingRouteId = null;
+    this.#mode = 'none';
+    this.#updateModeUI();
+
+    if (log) {
+      this.#renderLogOnMap(log);
+      this.#updateLogCard(log);
+    }
+  }
+
   /**
    * Update distance display
    */
   #updateDistanceDisplay() {
-    this.#distanceDisplay.textContent = this.#currentDistance.toFixed(2);
+    const { units } = this.#settings;
+    this.#distanceDisplay.textContent = distanceIn(
+      this.#currentDistance,
+      units,
+    ).toFixed(2);
+    this.#distanceDisplayUnit.textContent = unitsOf(units).distance;
+
+    // Projected time only makes sense for a route being planned
+    this.#projectedTime.textContent =
+      this.#mode === 'route' && this.#currentDistance > 0
+        ? `~${formatDuration(this.#projectedMinutes(this.#currentDistance))}`
+        : '';
+  }
+
+  /**
+   * Minutes to cover a distance at the drawing activity's target pace
+   * @param {number} distance - km
+   */
+  #projectedMinutes(distance) {
+    const { drawActivity, targetPaces } = this.#settings;
+    return distance * targetPaces[drawActivity];
+  }
+
+  /**
+   * Choose the activity being planned (its target pace drives projections)
+   */
+  #setDrawActivity(activity) {
+    this.#settings.drawActivity = activity;
+    this.#saveSettings();
+    this.#updateTargetInput();
+    this.#updateDistanceDisplay();
+  }
+
+  /**
+   * Store a target entered in display units (pace, or speed for cycling)
+   */
+  #setTargetPace(value) {
+    const { drawActivity, units } = this.#settings;
+
+    if (value > 0) {
+      const pace =
+        ACTIVITIES[drawActivity].stat === 'speed'
+          ? 60 / speedFromDisplay(value, units)
+          : paceFromDisplay(value, units);
+
+      this.#settings.targetPaces = {
+        ...this.#settings.targetPaces,
+        [drawActivity]: pace,
+      };
+      this.#saveSettings();
+    }
+
+    this.#updateTargetInput();
+    this.#updateDistanceDisplay();
+  }
+
+  /**
+   * Show the drawing activity and its target in display units
+   */
+  #updateTargetInput() {
+    const { drawActivity, targetPaces, units } = this.#settings;
+    const pace = targetPaces[drawActivity];
+    const isSpeed = ACTIVITIES[drawActivity].stat === 'speed';
+
+    this.#drawActivityInput.value = drawActivity;
+    this.#targetInput.value = (
+      isSpeed ? speedIn(60 / pace, units) : paceIn(pace, units)
+    ).toFixed(1);
+    this.#targetInput.setAttribute(
+      'aria-label',
+      isSpeed ? 'Target speed' : 'Target pace',
+    );
+    this.#targetUnit.textContent = isSpeed
+      ? unitsOf(units).speed
+      : unitsOf(units).pace;
   }
 
   /**
    * Calculate total distance of route using Haversine formula
    */
   #calculateTotalDistance(points) {
-    let total = 0;
-    for (let i = 1; i < points.length; i++) {
-      total += this.#haversineDistance(points[i - 1], points[i]);
-    }
-    return total;
+    return calculateTotalDistance(points);
   }
 
   /**
@@ -582,25 +1920,21 @@ class App {
    * @returns {number} Distance in kilometers
    */
   #haversineDistance(coord1, coord2) {
-    const R = 6371; // Earth's radius in km
-    const dLat = ((coord2[0] - coord1[0]) * Math.PI) / 180;
-    const dLon = ((coord2[1] - coord1[1]) * Math.PI) / 180;
-
-    const a =
-      Math.sin(dLat / 2) ** 2 +
-      Math.cos((coord1[0] * Math.PI) / 180) *
-        Math.cos((coord2[0] * Math.PI) / 180) *
-        Math.sin(dLon / 2) ** 2;
-
-    return R * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return haversineDistance(coord1, coord2);
   }
 
   /**
    * Open log form
+   * @param {string} type - 'route' | 'spot'
+   * @param {Log} [log] - Existing log to edit (prefills the form)
    */
-  #openForm(type) {
+  #openForm(type, log = null) {
     // Update form for type
     const isRoute = type === 'route';
+    this.#editingLogId = log ? log.id : null;
+
+    this.#formTitle.textContent = log ? 'Edit Log' : 'Save Log';
+    this.#formSubmitBtn.textContent = log ? 'Save Changes' : 'Save Log';
 
     this.#formTypeBadge.innerHTML = isRoute
       ? '<i class="ph ph-path" aria-hidden="true"></i><span>Route</span>'
@@ -609,17 +1943,41 @@ class App {
     // Show/hide route-specific fields
     this.#distanceField.style.display = isRoute ? 'block' : 'none';
     this.#durationField.style.display = isRoute ? 'block' : 'none';
+    this.#activityField.style.display = isRoute ? 'block' : 'none';
     this.#paceField.style.display = isRoute ? 'block' : 'none';
+    this.#categoryField.style.display = isRoute ? 'none' : 'block';
+    this.#photosField.style.display = isRoute ? 'none' : 'block';
 
     if (isRoute) {
-      this.#distanceInput.value = this.#currentDistance.toFixed(2);
+      const { units } = this.#settings;
+      this.#distanceInput.value = distanceIn(
+        this.#formDistance(),
+        units,
+      ).toFixed(2);
+      this.#distanceUnit.textContent = unitsOf(units).distance;
     }
 
-    // Reset form
-    this.#titleInput.value = '';
-    this.#durationInput.value = '';
-    this.#notesInput.value = '';
-    this.#paceOutput.textContent = '-- min/km';
+    // Reset form, or prefill from the log being edited
+    this.#titleInput.value = log ? log.title : '';
+    this.#durationInput.value = log && log.duration > 0 ? log.duration : '';
+    this.#activityInput.value = log?.activity ?? this.#settings.drawActivity;
+    this.#categoryInput.value = log?.category ?? DEFAULT_CATEGORY;
+    this.#formPhotos = log?.photos ?? [];
+    this.#renderFormPhotos();
+    this.#tagsInput.value = log ? log.tags.join(', ') : '';
+    this.#collectionsInput.value = log ? log.collections.join(', ') : '';
+    this.#fillLabelOptions();
+
+    // A new route starts from the projection at the target pace
+    if (isRoute && !log) {
+      this.#durationInput.value = Math.round(
+        this.#projectedMinutes(this.#currentDistance),
+      );
+    }
+    this.#notesInput.value = log
+      ? (isRoute ? log.notes : log.description) || ''
+      : '';
+    this.#updatePace();
 
     this.#form.showModal();
 
@@ -631,21 +1989,107 @@ class App {
    */
   #closeForm() {
     this.#form.close();
+    this.#editingLogId = null;
+    this.#formPhotos = [];
     this.#clearDrawingState();
   }
 
   /**
-   * Update pace calculation
+   * Suggest existing tags and collections in the form
+   */
+  #fillLabelOptions() {
+    const options = (key) =>
+      countLabels(this.#logs, key)
+        .map(([name]) => `<option value="${this.#escapeHTML(name)}"></option>`)
+        .join('');
+    this.#tagOptions.innerHTML = options('tags');
+    this.#collectionOptions.innerHTML = options('collections');
+  }
+
+  /**
+   * Tags and collections as entered in the form
+   */
+  #formLabels() {
+    const known = countLabels(this.#logs, 'collections').map(([name]) => name);
+    return {
+      tags: parseTags(this.#tagsInput.value),
+      collections: parseCollections(this.#collectionsInput.value, known),
+    };
+  }
+
+  /**
+   * Resize picked images and add them to the form (up to MAX_PHOTOS)
+   */
+  async #addFormPhotos(files) {
+    const room = MAX_PHOTOS - this.#formPhotos.length;
+    if (files.length > room) {
+      this.#showToast(`A spot can have up to ${MAX_PHOTOS} photos`);
+    }
+
+    for (const file of files.slice(0, Math.max(room, 0))) {
+      try {
+        this.#formPhotos.push(await resizePhoto(file));
+      } catch (e) {
+        console.warn('Could not add photo:', e);
+        this.#showToast(e.message);
+      }
+    }
+    this.#renderFormPhotos();
+  }
+
+  /**
+   * Show the form's photos with remove buttons
+   */
+  #renderFormPhotos() {
+    this.#photoList.innerHTML = this.#formPhotos
+      .map(
+        (photo, i) => `
+          <li class="photo-field__item">
+            <img class="photo-field__img" src="${this.#escapeHTML(photo)}" alt="Photo ${i + 1}">
+            <button type="button" class="photo-field__remove" data-photo="${i}" aria-label="Remove photo ${i + 1}">
+              <i class="ph ph-x" aria-hidden="true"></i>
+            </button>
+          </li>
+        `,
+      )
+      .join('');
+    this.#photoAdd.hidden = this.#formPhotos.length >= MAX_PHOTOS;
+  }
+
+  /**
+   * Distance shown in the form - edited route or current drawing
+   */
+  #formDistance() {
+    const log = this.#logs.find((l) => l.id === this.#editingLogId);
+    return log ? log.distance : this.#currentDistance;
+  }
+
+  /**
+   * Update the activity's headline stat (pace, speed or estimated time)
    */
   #updatePace() {
     const duration = parseFloat(this.#durationInput.value) || 0;
-    const distance = this.#currentDistance;
-
-    if (duration > 0 && distance > 0) {
-      const pace = duration / distance;
-      this.#paceOutput.textContent = `${pace.toFixed(1)} min/km`;
+    const distance = this.#formDistance();
+    const { stat } = ACTIVITIES[this.#activityInput.value];
+
+    if (stat === 'naismith') {
+      const log = this.#logs.find((l) => l.id === this.#editingLogId);
+      this.#paceLabel.textContent = 'Est. Time (Naismith)';
+      this.#paceOutput.textContent = formatDuration(
+        naismithMinutes(distance, log?.elevation?.ascent),
+      );
+    } else if (stat === 'speed') {
+      this.#paceLabel.textContent = 'Avg. Speed';
+      this.#paceOutput.textContent = formatSpeed(
+        duration > 0 ? (distance / duration) * 60 : 0,
+        this.#settings.units,
+      );
     } else {
-      this.#paceOutput.textContent = '-- min/km';
+      this.#paceLabel.textContent = 'Avg. Pace';
+      this.#paceOutput.textContent = formatPace(
+        distance > 0 ? duration / distance : 0,
+        this.#settings.units,
+      );
     }
   }
 
@@ -658,6 +2102,11 @@ class App {
     const title = this.#titleInput.value.trim() || 'Untitled';
     const notes = this.#notesInput.value.trim();
 
+    if (this.#editingLogId) {
+      this.#saveLogDetails(title, notes);
+      return;
+    }
+
     let log;
 
     if (this.#distanceField.style.display !== 'none') {
@@ -669,31 +2118,36 @@ class App {
         title,
         duration,
         notes,
+        this.#activityInput.value,
       );
+      log.setVertices(this.#routeVertices);
     } else {
       // Spot
-      log = new Spot(this.#routePoints[0], title, notes);
+      log = new Spot(
+        this.#routePoints[0],
+        title,
+        notes,
+        this.#categoryInput.value,
+        this.#formPhotos,
+      );
     }
+    log.setLabels(this.#formLabels());
 
-    // Add to logs
-    this.#logs.push(log);
-
-    // Render on map
-    this.#renderLogOnMap(log);
-    this.#renderLogCard(log);
-
-    // Save to LocalStorage
-    this.#saveToLocalStorage();
+    // Add to logs, map and list
+    const index = this.#logs.length;
+    this.#addLog(log, index);
 
-    // Update UI
-    this.#updateLogCount();
-    this.#updateEmptyState();
+    this.#history.push({
+      undo: () => this.#removeLog(log.id),
+      redo: () => this.#addLog(log, index),
+    });
 
     // Close form
     this.#closeForm();
 
     // Pan to log
     if (log.type === 'route') {
+      this.#fillElevation(log);
       this.#map.fitBounds(L.latLngBounds(log.coords));
     } else {
       this.#map.panTo(log.coords);
@@ -701,81 +2155,626 @@ class App {
   }
 
   /**
-   * Render log on map
+   * Apply form edits to an existing log
    */
-  #renderLogOnMap(log) {
-    let layer;
+  #saveLogDetails(title, notes) {
+    const log = this.#logs.find((l) => l.id === this.#editingLogId);
+    if (!log) return;
 
-    if (log.type === 'route') {
-      // Create polyline for route - default dark gray
-      layer = L.polyline(log.coords, {
-        color: '#9ca3af',
-        weight: 3,
-        opacity: 0.6,
-      }).addTo(this.#map);
+    const before =
+      log.type === 'route'
+        ? {
+            title: log.title,
+            duration: log.duration,
+            notes: log.notes,
+            activity: log.activity,
+            tags: log.tags,
+            collections: log.collections,
+          }
+        : {
+            title: log.title,
+            description: log.description,
+            category: log.category,
+            photos: log.photos,
+            tags: log.tags,
+            collections: log.collections,
+          };
+    const after =
+      log.type === 'route'
+        ? {
+            title,
+            duration: parseInt(this.#durationInput.value) || 0,
+            notes,
+            activity: this.#activityInput.value,
+            ...this.#formLabels(),
+          }
+        : {
+            title,
+            description: notes,
+            category: this.#categoryInput.value,
+            photos: this.#formPhotos,
+            ...this.#formLabels(),
+          };
+
+    this.#applyLogDetails(log, after);
+    this.#closeForm();
 
-      // Add start/end markers
-      const startIcon = L.divIcon({
-        html: '<div style="width:12px;height:12px;background:#000;border:2px solid #fff;border-radius:50%;"></div>',
-        className: 'route-marker',
-        iconSize: [12, 12],
-      });
+    this.#history.push({
+      undo: () => this.#applyLogDetails(log, before),
+      redo: () => this.#applyLogDetails(log, after),
+    });
+  }
 
-      L.marker(log.coords[0], { icon: startIcon }).addTo(this.#map);
-      L.marker(log.coords[log.coords.length - 1], { icon: startIcon }).addTo(
-        this.#map,
-      );
-    } else {
-      // Create marker for spot
-      const spotIcon = L.divIcon({
-        html: '<i class="ph ph-map-pin" style="font-size:24px;color:#0f172a;"></i>',
-        className: 'spot-marker',
-        iconSize: [24, 24],
-        iconAnchor: [12, 24],
-      });
+  /**
+   * Update a log's details, refresh its popup and card, and persist
+   */
+  #applyLogDetails(log, details) {
+    const restyle =
+      log.type === 'route'
+        ? details.activity !== log.activity
+        : details.category !== log.category;
+    log.update(details);
+    log.touch();
 
-      layer = L.marker(log.coords, { icon: spotIcon }).addTo(this.#map);
+    const layer = this.#drawnLayers.get(log.id);
+    if (restyle) {
+      this.#redrawLog(log);
+    } else if (layer) {
+      layer.setPopupContent(this.#popupHTML(log));
     }
+    this.#updateLogCard(log);
+    this.#applyFilter();
 
-    // Bind popup
-    layer.bindPopup(`
-      <div style="font-family: var(--font-primary);">
-        <strong>${log.title}</strong>
-        ${log.type === 'route' ? `<br><span style="font-family: monospace;">${log.formattedDistance}</span>` : ''}
-        ${log.notes ? `<br><small>${log.notes}</small>` : ''}
-      </div>
-    `);
+    this.#saveLogs([log]);
+  }
 
-    this.#drawnLayers.set(log.id, layer);
+  /**
+   * Insert a log at a position in the list, render it and persist
+   * @param {Object} options - persist: false for changes already in storage
+   */
+  #addLog(log, index = this.#logs.length, { persist = true } = {}) {
+    this.#logs.splice(index, 0, log);
+
+    if (this.#map) this.#renderLogOnMap(log);
+    this.#renderLogCard(log);
+
+    // Stored in the same place, e.g. when undo puts a log back
+    const position =
+      index < this.#logs.length - 1
+        ? { after: this.#logs[index - 1]?.id ?? null }
+        : {};
+    if (persist) this.#saveLogs([log], position);
+    this.#applyFilter();
   }
 
   /**
-   * Render log card in list
+   * Remove a log from the list, map and storage
+   * @param {Object} options - persist: false for changes already in storage
    */
-  #renderLogCard(log) {
-    const isRoute = log.type === 'route';
+  #removeLog(logId, { persist = true } = {}) {
+    // Stop any animation
+    if (this.#selectedRouteId === logId) {
+      this.#deselectRoute();
+    }
 
-    const html = `
-      <li 
-        class="log-card log-card--${log.type}" 
-        data-id="${log.id}"
-        tabindex="0"
-        role="button"
-        aria-label="${log.title}. ${isRoute ? log.formattedDistance : 'Spot'}. ${log.formattedDate}"
-      >
-        <div class="log-card__header">
-          <div class="log-card__icon-wrapper">
-            <i class="ph ${isRoute ? 'ph-path' : 'ph-map-pin'} log-card__icon" aria-hidden="true"></i>
-          </div>
-          <div class="log-card__content">
-            <div class="log-card__title">${log.title}</div>
-            <div class="log-card__date">${log.formattedDate} · ${log.formattedTime}</div>
-          </div>
-          <button 
+    // Leave path edit if this route is being edited
+    if (this.#editingRouteId === logId) {
+      this.#exitEditing();
+    }
+
+    // Remove from map
+    this.#removeLogFromMap(logId);
+
+    // Drop from the merge selection
+    if (this.#mergeSelection.delete(logId)) this.#updateMergeUI();
+
+    // Remove from logs array
+    this.#logs = this.#logs.filter((l) => l.id !== logId);
+
+    // Remove from DOM
+    this.#logCard(logId)?.remove();
+
+    // Remove from storage
+    if (persist) this.#deleteStoredLogs([logId]);
+
+    // Update count
+    this.#applyFilter();
+  }
+
+  /**
+   * Render log on map
+   */
+  #renderLogOnMap(log) {
+    let layer;
+
+    if (log.type === 'route') {
+      // Create polyline for route - colored by activity
+      const activity = ACTIVITIES[log.activity];
+      layer = L.polyline(log.coords, this.#routeStyle(log.id)).addTo(this.#map);
+
+      // Add start/end markers - the start shows the activity
+      const startIcon = L.divIcon({
+        html: `<div style="width:22px;height:22px;display:flex;align-items:center;justify-content:center;background:${activity.color};border:2px solid #fff;border-radius:50%;color:#fff;font-size:13px;"><i class="ph ${activity.icon}" aria-hidden="true"></i></div>`,
+        className: 'route-marker',
+        iconSize: [22, 22],
+      });
+      const endIcon = L.divIcon({
+        html: '<div style="width:12px;height:12px;background:#000;border:2px solid #fff;border-radius:50%;"></div>',
+        className: 'route-marker',
+        iconSize: [12, 12],
+      });
+
+      const startMarker = L.marker(log.coords[0], {
+        icon: startIcon,
+        title: activity.label,
+      }).addTo(this.#map);
+      const endMarker = L.marker(log.coords[log.coords.length - 1], {
+        icon: endIcon,
+      }).addTo(this.#map);
+      this.#endpointMarkers.set(log.id, [startMarker, endMarker]);
+    } else {
+      // Create marker for spot - a pin, or a badge for its category
+      const category = SPOT_CATEGORIES[log.category];
+      const spotIcon =
+        log.category === DEFAULT_CATEGORY
+          ? L.divIcon({
+              html: `<i class="ph ${category.icon}" style="font-size:24px;color:${category.color};"></i>`,
+              className: 'spot-marker',
+              iconSize: [24, 24],
+              iconAnchor: [12, 24],
+            })
+          : L.divIcon({
+              html: `<div style="width:24px;height:24px;display:flex;align-items:center;justify-content:center;background:${category.color};border:2px solid #fff;border-radius:50%;color:#fff;font-size:14px;"><i class="ph ${category.icon}" aria-hidden="true"></i></div>`,
+              className: 'spot-marker',
+              iconSize: [24, 24],
+            });
+
+      layer = L.marker(log.coords, {
+        icon: spotIcon,
+        title: category.label,
+      }).addTo(this.#map);
+    }
+
+    // Bind popup
+    layer.bindPopup(this.#popupHTML(log));
+    if (log.type === 'route') {
+      layer.on('popupopen', (e) => {
+        // Split times follow the current target pace
+        e.popup.setContent(this.#popupHTML(log));
+        this.#bindElevationChart(log, e.popup);
+      });
+      layer.on('popupclose', () => this.#hideChartMarker());
+    }
+
+    this.#drawnLayers.set(log.id, layer);
+    if (!this.#isOnMap(log)) this.#showLogOnMap(log.id, false);
+  }
+
+  /**
+   * Resting polyline style for a route (color follows its activity)
+   */
+  #routeStyle(logId) {
+    const log = this.#logs.find((l) => l.id === logId);
+    const activity = ACTIVITIES[log?.activity ?? DEFAULT_ACTIVITY];
+    return { color: activity.color, weight: 3, opacity: 0.6 };
+  }
+
+  /**
+   * Re-create a log's map layers, keeping the selection highlight
+   */
+  #redrawLog(log) {
+    if (!this.#drawnLayers.has(log.id)) return;
+
+    this.#removeLogFromMap(log.id);
+    this.#renderLogOnMap(log);
+    if (this.#selectedRouteId === log.id) {
+      this.#animateRoute(log.id, log.coords);
+    }
+  }
+
+  /**
+   * Build popup markup for a log
+   */
+  #popupHTML(log) {
+    const title = this.#escapeHTML(log.title);
+    const notes = this.#escapeHTML(
+      log.type === 'route' ? log.notes : log.description,
+    );
+
+    return `
+      <div style="font-family: var(--font-primary);">
+        <strong>${title}</strong>
+        ${log.type === 'route' ? `<br><span style="font-family: monospace;">${formatDistance(log.distance, this.#settings.units)}</span>` : ''}
+        ${log.type === 'spot' && log.category !== DEFAULT_CATEGORY ? `<br><small>${SPOT_CATEGORIES[log.category].label}</small>` : ''}
+        ${notes ? `<br><small>${notes}</small>` : ''}
+        ${log.type === 'spot' ? this.#photosHTML(log, 'popup-photos', 'popup-photos__img') : ''}
+        ${log.type === 'route' ? this.#elevationHTML(log) : ''}
+        ${log.type === 'route' ? this.#waypointsHTML(log) : ''}
+        ${log.type === 'route' ? this.#splitsHTML(log) : ''}
+      </div>
+    `;
+  }
+
+  /**
+   * Attached spots that still exist
+   */
+  #waypointsOf(route) {
+    return route.waypoints
+      .map((id) => this.#logs.find((l) => l.id === id && l.type === 'spot'))
+      .filter(Boolean);
+  }
+
+  /**
+   * Attached spots in order along the route, e.g. "Water at 7.30 km"
+   */
+  #waypointsHTML(log) {
+    const stops = this.#waypointsOf(log)
+      .map((spot) => ({
+        spot,
+        along: projectOntoPath(log.coords, spot.coords).along,
+      }))
+      .sort((a, b) => a.along - b.along);
+    if (!stops.length) return '';
+
+    const items = stops
+      .map(({ spot, along }) => {
+        const category = SPOT_CATEGORIES[spot.category];
+        return `
+          <li class="waypoints__item">
+            <i class="ph ${category.icon}" style="color:${category.color};" aria-hidden="true"></i>
+            <span>${this.#escapeHTML(spot.title)}</span>
+            <span class="waypoints__distance">at ${formatDistance(along, this.#settings.units)}</span>
+          </li>`;
+      })
+      .join('');
+
+    return `
+      <div class="waypoints">
+        <strong>Waypoints</strong>
+        <ol class="waypoints__list">${items}</ol>
+      </div>
+    `;
+  }
+
+  /**
+   * Table of distances between the user-placed points of a route, with
+   * running totals and elapsed time at the activity's target pace
+   */
+  #splitsHTML(log) {
+    const segments = segmentDistances(log.coords, log.vertices);
+    if (segments.length < 2) return '';
+
+    const { units, targetPaces } = this.#settings;
+    let total = 0;
+    const rows = segments
+      .map((km, i) => {
+        total += km;
+        return `
+          <tr>
+            <td>${i + 1}</td>
+            <td>${formatDistance(km, units)}</td>
+            <td>${formatDistance(total, units)}</td>
+            <td>${formatDuration(total * targetPaces[log.activity])}</td>
+          </tr>`;
+      })
+      .join('');
+
+    return `
+      <details class="splits">
+        <summary>Splits (${segments.length})</summary>
+        <table class="splits__table">
+          <thead>
+            <tr>
+              <th scope="col">#</th>
+              <th scope="col">Segment</th>
+              <th scope="col">Total</th>
+              <th scope="col" title="At your target pace">Time</th>
+            </tr>
+          </thead>
+          <tbody>${rows}</tbody>
+        </table>
+      </details>
+    `;
+  }
+
+  /**
+   * Thumbnails of a spot's photos (popup or card)
+   * @param {string} stripClass - CSS class of the container
+   * @param {string} imageClass - CSS class of each thumbnail
+   */
+  #photosHTML(log, stripClass, imageClass) {
+    if (!log.photos.length) return '';
+
+    const title = this.#escapeHTML(log.title);
+    const images = log.photos
+      .map(
+        (photo, i) =>
+          `<img class="${imageClass}" src="${this.#escapeHTML(photo)}" alt="${title} photo ${i + 1}" loading="lazy">`,
+      )
+      .join('');
+    return `<div class="${stripClass}">${images}</div>`;
+  }
+
+  /**
+   * Climb stats and elevation chart for a route popup
+   */
+  #elevationHTML(log) {
+    const stats = log.elevation;
+    if (!stats) return '';
+
+    const m = (value) => formatElevation(value, this.#settings.units);
+
+    return `
+      <div class="elevation">
+        <div class="elevation__stats">
+          <span title="Total ascent"><i class="ph ph-trend-up" aria-hidden="true"></i> ${m(stats.ascent)}</span>
+          <span title="Total descent"><i class="ph ph-trend-down" aria-hidden="true"></i> ${m(stats.descent)}</span>
+          <span title="Lowest / highest point">${m(stats.min)} – ${m(stats.max)}</span>
+        </div>
+        ${elevationChartSVG(elevationProfile(log.coords))}
+        <div class="elevation__readout" aria-live="polite"></div>
+      </div>
+    `;
+  }
+
+  /**
+   * Hovering the popup chart moves a marker along the route
+   */
+  #bindElevationChart(log, popup) {
+    const chart = popup.getElement()?.querySelector('.elevation-chart');
+    if (!chart) return;
+
+    const profile = elevationProfile(log.coords);
+    const guide = chart.querySelector('.elevation-chart__guide');
+    const readout = popup.getElement().querySelector('.elevation__readout');
+
+    chart.addEventListener('mousemove', (e) => {
+      const bounds = chart.getBoundingClientRect();
+      const { sample, x } = sampleAt(
+        profile,
+        (e.clientX - bounds.left) / bounds.width,
+      );
+
+      guide.setAttribute('x1', x);
+      guide.setAttribute('x2', x);
+      guide.setAttribute('visibility', 'visible');
+      readout.textContent = `${formatDistance(sample.distance, this.#settings.units)} · ${formatElevation(sample.elevation, this.#settings.units)}`;
+      this.#showChartMarker(sample.point);
+    });
+
+    chart.addEventListener('mouseleave', () => {
+      guide.setAttribute('visibility', 'hidden');
+      readout.textContent = '';
+      this.#hideChartMarker();
+    });
+  }
+
+  /**
+   * Place the chart hover marker on the map
+   */
+  #showChartMarker(point) {
+    if (this.#chartMarker) {
+      this.#chartMarker.setLatLng(point);
+      return;
+    }
+
+    this.#chartMarker = L.circleMarker(point, {
+      radius: 6,
+      fillColor: '#ffffff',
+      fillOpacity: 1,
+      color: '#000000',
+      weight: 3,
+      interactive: false,
+    }).addTo(this.#map);
+  }
+
+  /**
+   * Remove the chart hover marker
+   */
+  #hideChartMarker() {
+    if (!this.#chartMarker) return;
+    this.#map.removeLayer(this.#chartMarker);
+    this.#chartMarker = null;
+  }
+
+  /**
+   * Look up elevation for route points that have none, then refresh and persist
+   * Skipped unless an elevation service is set; failures are only logged
+   */
+  async #fillElevation(log) {
+    if (log.type !== 'route' || !this.#elevationProvider) return;
+
+    const coords = log.coords;
+    const missing = coords
+      .map((point, i) => i)
+      .filter((i) => !Number.isFinite(coords[i][2]));
+    if (missing.length === 0) return;
+
+    let elevations;
+    try {
+      elevations = await this.#elevationProvider.lookup(
+        missing.map((i) => coords[i]),
+      );
+    } catch (e) {
+      console.warn('Elevation lookup failed:', e);
+      return;
+    }
+
+    // Drop the result if the path changed or the log was removed meanwhile
+    if (log.coords !== coords || !this.#logs.includes(log)) return;
+
+    const filled = coords.map((point) => [...point]);
+    missing.forEach((pointIndex, i) => {
+      if (Number.isFinite(elevations[i])) filled[pointIndex][2] = elevations[i];
+    });
+
+    log.updateCoords(filled, log.distance);
+
+    const layer = this.#drawnLayers.get(log.id);
+    if (layer) layer.setPopupContent(this.#popupHTML(log));
+    this.#updateLogCard(log);
+    this.#saveLogs([log]);
+  }
+
+  /**
+   * Remove a log's layers (and route endpoints) from the map
+   */
+  #removeLogFromMap(logId) {
+    this.#stopRouteAnimation(logId);
+
+    const layer = this.#drawnLayers.get(logId);
+    if (layer) {
+      this.#map.removeLayer(layer);
+      this.#drawnLayers.delete(logId);
+    }
+
+    const endpoints = this.#endpointMarkers.get(logId);
+    if (endpoints) {
+      endpoints.forEach((m) => this.#map.removeLayer(m));
+      this.#endpointMarkers.delete(logId);
+    }
+  }
+
+  /**
+   * Render log card in list
+   */
+  #renderLogCard(log) {
+    // Keep list order in sync with #logs (matters when undo restores a log)
+    const index = this.#logs.indexOf(log);
+    const nextCard = this.#logs
+      .slice(index + 1)
+      .map((l) => this.#logCard(l.id))
+      .find(Boolean);
+
+    (nextCard || this.#emptyState).insertAdjacentHTML(
+      'beforebegin',
+      this.#logCardHTML(log),
+    );
+  }
+
+  /**
+   * Re-render an existing log card in place
+   */
+  #updateLogCard(log) {
+    const card = this.#logCard(log.id);
+    if (!card) return;
+
+    const isSelected = card.classList.contains('log-card--selected');
+    card.outerHTML = this.#logCardHTML(log);
+
+    if (isSelected) this.#markCardSelected(log.id);
+  }
+
+  /**
+   * Collection and tag chips for a card (clicking one filters the list)
+   */
+  #labelsHTML(log) {
+    if (!log.tags.length && !log.collections.length) return '';
+
+    const id = this.#escapeHTML(log.id);
+    const chip = (key, name, label) => `
+      <button type="button" class="label-chip label-chip--${key}" data-action="filter-label" data-id="${id}" data-key="${key}" data-name="${this.#escapeHTML(name)}" title="Show only ${this.#escapeHTML(name)}">${label}</button>`;
+
+    return `
+      <div class="log-card__labels">
+        ${log.collections
+          .map((name) =>
+            chip(
+              'collection',
+              name,
+              `<i class="ph ph-folder" aria-hidden="true"></i>${this.#escapeHTML(name)}`,
+            ),
+          )
+          .join('')}
+        ${log.tags.map((name) => chip('tag', name, `#${this.#escapeHTML(name)}`)).join('')}
+      </div>
+    `;
+  }
+
+  /**
+   * Headline card stat for a route's activity
+   */
+  #activityStatHTML(log) {
+    const { stat } = ACTIVITIES[log.activity];
+    const { units } = this.#settings;
+    let icon, value, unit, label;
+
+    if (stat === 'naismith') {
+      [icon, value, unit, label] = [
+        'ph-hourglass-medium',
+        formatDuration(log.estimatedDuration),
+        'est.',
+        "Estimated time (Naismith's rule)",
+      ];
+    } else if (stat === 'speed' && log.speed > 0) {
+      [icon, value, unit, label] = [
+        'ph-gauge',
+        speedIn(log.speed, units).toFixed(1),
+        unitsOf(units).speed,
+        'Average speed',
+      ];
+    } else if (stat === 'pace' && log.pace > 0) {
+      [icon, value, unit, label] = [
+        'ph-gauge',
+        paceIn(log.pace, units).toFixed(1),
+        unitsOf(units).pace,
+        'Average pace',
+      ];
+    } else {
+      return '';
+    }
+
+    return `
+          <div class="log-card__stat" title="${label}">
+            <i class="ph ${icon} log-card__stat-icon" aria-hidden="true"></i>
+            <span class="log-card__stat-value">${value}</span>
+            <span class="log-card__stat-unit">${unit}</span>
+          </div>
+    `;
+  }
+
+  /**
+   * A log's card in the list, if rendered
+   */
+  #logCard(logId) {
+    return this.#logListItems.querySelector(
+      `.log-card[data-id="${CSS.escape(logId)}"]`,
+    );
+  }
+
+  /**
+   * Build log card markup
+   */
+  #logCardHTML(log) {
+    const isRoute = log.type === 'route';
+    const id = this.#escapeHTML(log.id);
+    const title = this.#escapeHTML(log.title);
+    const { units } = this.#settings;
+    const kind = isRoute
+      ? ACTIVITIES[log.activity]
+      : SPOT_CATEGORIES[log.category];
+
+    return `
+      <li 
+        class="log-card log-card--${log.type}${this.#mergeSelection.has(log.id) ? ' log-card--checked' : ''}" 
+        data-id="${id}"
+        tabindex="0"
+        role="button"${matchesFilter(log, this.#filter) ? '' : ' hidden'}
+        aria-label="${title}. ${isRoute ? formatDistance(log.distance, units) : kind.label}. ${log.formattedDate}"
+      >
+        <div class="log-card__header">
+          <div class="log-card__icon-wrapper" title="${kind.label}">
+            <i class="ph ${kind.icon} log-card__icon"${isRoute ? '' : ` style="color:${kind.color}"`} aria-hidden="true"></i>
+          </div>
+          <div class="log-card__content">
+            <div class="log-card__title">${title}</div>
+            <div class="log-card__date">${log.formattedDate} · ${log.formattedTime}</div>
+          </div>
+          <button 
             type="button" 
             class="log-card__delete" 
-            data-id="${log.id}"
-            aria-label="Delete ${log.title}"
+            data-id="${id}"
+            aria-label="Delete ${title}"
             title="Delete"
           >
             <i class="ph ph-trash" aria-hidden="true"></i>
@@ -787,8 +2786,8 @@ class App {
         <div class="log-card__footer">
           <div class="log-card__stat">
             <i class="ph ph-ruler log-card__stat-icon" aria-hidden="true"></i>
-            <span class="log-card__stat-value">${log.distance.toFixed(2)}</span>
-            <span class="log-card__stat-unit">km</span>
+            <span class="log-card__stat-value">${distanceIn(log.distance, units).toFixed(2)}</span>
+            <span class="log-card__stat-unit">${unitsOf(units).distance}</span>
           </div>
           ${
             log.duration > 0
@@ -801,68 +2800,779 @@ class App {
           `
               : ''
           }
+          ${this.#activityStatHTML(log)}
           ${
-            log.pace > 0
+            log.elevation
               ? `
-          <div class="log-card__stat">
-            <i class="ph ph-gauge log-card__stat-icon" aria-hidden="true"></i>
-            <span class="log-card__stat-value">${log.pace.toFixed(1)}</span>
-            <span class="log-card__stat-unit">min/km</span>
+          <div class="log-card__stat" title="Total ascent">
+            <i class="ph ph-mountains log-card__stat-icon" aria-hidden="true"></i>
+            <span class="log-card__stat-value">${Math.round(elevationIn(log.elevation.ascent, units))}</span>
+            <span class="log-card__stat-unit">${unitsOf(units).elevation}</span>
           </div>
           `
               : ''
           }
         </div>
         `
-            : ''
+            : this.#photosHTML(log, 'log-card__photos', 'log-card__photo')
         }
+        ${this.#labelsHTML(log)}
+        <div class="log-card__toolbar" role="group" aria-label="Log actions">
+          <button type="button" class="log-card__tool" data-action="edit" data-id="${id}">
+            <i class="ph ph-pencil-simple" aria-hidden="true"></i>
+            <span>Edit</span>
+          </button>
+          ${
+            isRoute
+              ? `
+          <button type="button" class="log-card__tool" data-action="edit-path" data-id="${id}">
+            <i class="ph ph-bezier-curve" aria-hidden="true"></i>
+            <span>Edit path</span>
+          </button>
+          <button type="button" class="log-card__tool" data-action="toggle-markers" data-id="${id}" aria-pressed="${this.#settings.distanceMarkers}" title="Label every ${unitsOf(units).distance} along the route">
+            <i class="ph ph-flag-pennant" aria-hidden="true"></i>
+            <span>Markers</span>
+          </button>
+          <details class="dropdown">
+            <summary class="log-card__tool">
+              <i class="ph ph-path" aria-hidden="true"></i>
+              <span>Path</span>
+            </summary>
+            <div class="dropdown__items">
+              <button type="button" class="dropdown__item" data-action="out-and-back" data-id="${id}">Out &amp; back</button>
+              <button type="button" class="dropdown__item" data-action="close-loop" data-id="${id}">Close loop</button>
+              <button type="button" class="dropdown__item" data-action="reverse" data-id="${id}">Reverse</button>
+              <button type="button" class="dropdown__item" data-action="split" data-id="${id}">Split…</button>
+              <button type="button" class="dropdown__item" data-action="simplify" data-id="${id}">Simplify…</button>
+              <button type="button" class="dropdown__item" data-action="densify" data-id="${id}">Densify…</button>
+            </div>
+          </details>
+          <details class="dropdown">
+            <summary class="log-card__tool">
+              <i class="ph ph-download-simple" aria-hidden="true"></i>
+              <span>Export</span>
+            </summary>
+            <div class="dropdown__items">
+              <button type="button" class="dropdown__item" data-action="export-gpx" data-format="trk" data-id="${id}">GPX track</button>
+              <button type="button" class="dropdown__item" data-action="export-gpx" data-format="rte" data-id="${id}">GPX route</button>
+            </div>
+          </details>
+          `
+              : `
+          <details class="dropdown" data-menu="routes" data-id="${id}">
+            <summary class="log-card__tool">
+              <i class="ph ph-path" aria-hidden="true"></i>
+              <span>Attach</span>
+            </summary>
+            <div class="dropdown__items"></div>
+          </details>
+          <button type="button" class="log-card__tool" data-action="export-gpx" data-id="${id}">
+            <i class="ph ph-download-simple" aria-hidden="true"></i>
+            <span>GPX</span>
+          </button>
+          `
+          }
+        </div>
       </li>
     `;
+  }
+
+  /**
+   * Highlight the selected card (reveals its toolbar)
+   */
+  #markCardSelected(logId) {
+    this.#logListItems
+      .querySelectorAll('.log-card--selected')
+      .forEach((card) => card.classList.remove('log-card--selected'));
+
+    if (!logId) return;
+    this.#logCard(logId)?.classList.add('log-card--selected');
+  }
+
+  /**
+   * Handle log card click - select route and persist animation
+   */
+  #handleLogClick(e) {
+    // Check if delete button was clicked
+    const deleteBtn = e.target.closest('.log-card__delete');
+    if (deleteBtn) {
+      e.stopPropagation();
+      const logId = deleteBtn.dataset.id;
+      this.#deleteLog(logId);
+      return;
+    }
+
+    // Toolbar actions on the selected card
+    const actionBtn = e.target.closest('[data-action]');
+    if (actionBtn) {
+      e.stopPropagation();
+      actionBtn.closest('details')?.removeAttribute('open');
+      this.#handleLogAction(actionBtn.dataset.action, actionBtn.dataset.id, {
+        ...actionBtn.dataset,
+      });
+      return;
+    }
+
+    // The attach menu is built when opened (it measures to every route)
+    const summary = e.target.closest('summary');
+    if (summary?.parentElement.dataset.menu === 'routes') {
+      this.#fillRouteMenu(summary.parentElement);
+    }
+
+    // Other clicks inside the toolbar (e.g. opening a menu) keep the selection
+    if (e.target.closest('.log-card__toolbar')) return;
+
+    const card = e.target.closest('.log-card');
+    if (!card) return;
+
+    const log = this.#logs.find((l) => l.id === card.dataset.id);
+    if (!log) return;
+
+    // Ctrl/Cmd-click checks routes for merging instead of selecting
+    if (e.ctrlKey || e.metaKey) {
+      if (log.type === 'route') this.#toggleMergeSelection(log.id);
+      return;
+    }
+
+    // Deselect previous route if different
+    if (this.#selectedRouteId && this.#selectedRouteId !== log.id) {
+      this.#stopRouteAnimation(this.#selectedRouteId);
+      const prevLayer = this.#drawnLayers.get(this.#selectedRouteId);
+      if (prevLayer && prevLayer.setStyle) {
+        prevLayer.setStyle(this.#routeStyle(this.#selectedRouteId));
+      }
+    }
+
+    if (log.type === 'route') {
+      this.#map.fitBounds(L.latLngBounds(log.coords), { padding: [50, 50] });
+      // Select and animate
+      this.#selectedRouteId = log.id;
+      this.#animateRoute(log.id, log.coords);
+      this.#showDistanceMarkers(log);
+    } else {
+      this.#map.setView(log.coords, 16);
+      this.#selectedRouteId = null;
+      this.#hideDistanceMarkers();
+    }
+
+    this.#markCardSelected(log.id);
+
+    // Open popup
+    const layer = this.#drawnLayers.get(log.id);
+    if (layer) layer.openPopup();
+  }
+
+  /**
+   * Dispatch a card toolbar action
+   */
+  #handleLogAction(action, logId, options = {}) {
+    switch (action) {
+      case 'edit': {
+        const log = this.#logs.find((l) => l.id === logId);
+        if (!log) break;
+        this.#stopInteraction();
+        this.#openForm(log.type, log);
+        break;
+      }
+      case 'edit-path':
+        this.#startEditing(logId);
+        break;
+      case 'export-gpx':
+        this.#exportGPX(logId, options.format);
+        break;
+      case 'out-and-back':
+      case 'close-loop':
+      case 'reverse':
+        this.#transformSavedRoute(logId, action);
+        break;
+      case 'simplify':
+      case 'densify':
+        this.#openPathTool(logId, action);
+        break;
+      case 'filter-label':
+        this.#toggleLabelFilter(options.key, options.name);
+        break;
+      case 'toggle-waypoint':
+        this.#toggleWaypoint(logId, options.route);
+        break;
+      case 'toggle-markers':
+        this.#toggleDistanceMarkers();
+        break;
+      case 'split':
+        this.#startEditing(logId);
+        this.#showToast('Shift-click a point to split the route there');
+        break;
+    }
+  }
+
+  /**
+   * List routes in a spot's attach menu: attached ones first, then the
+   * nearest few
+   */
+  #fillRouteMenu(menu) {
+    const spot = this.#logs.find((l) => l.id === menu.dataset.id);
+    if (!spot) return;
+
+    const routes = this.#logs
+      .filter((l) => l.type === 'route')
+      .map((route) => ({
+        route,
+        attached: route.waypoints.includes(spot.id),
+        offset: projectOntoPath(route.coords, spot.coords).offset,
+      }))
+      .sort((a, b) => b.attached - a.attached || a.offset - b.offset)
+      .filter((entry, i) => entry.attached || i < 5);
+
+    menu.querySelector('.dropdown__items').innerHTML = routes.length
+      ? routes
+          .map(
+            ({ route, attached, offset }) => `
+          <button type="button" class="dropdown__item" data-action="toggle-waypoint" data-id="${this.#escapeHTML(spot.id)}" data-route="${this.#escapeHTML(route.id)}" aria-pressed="${attached}">
+            <i class="ph ${attached ? 'ph-check' : 'ph-plus'}" aria-hidden="true"></i>
+            ${this.#escapeHTML(route.title)} · ${formatDistance(offset, this.#settings.units)} away
+          </button>`,
+          )
+          .join('')
+      : '<span class="dropdown__item">No routes yet</span>';
+  }
+
+  /**
+   * Attach a spot to a route, or detach it (undoable)
+   */
+  #toggleWaypoint(spotId, routeId) {
+    const spot = this.#logs.find((l) => l.id === spotId);
+    const route = this.#logs.find((l) => l.id === routeId);
+    if (!spot || !route) return;
+
+    const before = route.waypoints;
+    const attached = before.includes(spotId);
+    const after = attached
+      ? before.filter((id) => id !== spotId)
+      : [...before, spotId];
+
+    this.#applyWaypoints(route, after);
+    this.#history.push({
+      undo: () => this.#applyWaypoints(route, before),
+      redo: () => this.#applyWaypoints(route, after),
+    });
+    this.#showToast(
+      attached
+        ? `Detached "${spot.title}" from "${route.title}"`
+        : `Attached "${spot.title}" to "${route.title}"`,
+    );
+  }
+
+  /**
+   * Set a route's attached spots, refresh its popup and persist
+   */
+  #applyWaypoints(route, spotIds) {
+    route.setWaypoints(spotIds);
+    route.touch();
+    this.#drawnLayers.get(route.id)?.setPopupContent(this.#popupHTML(route));
+    this.#saveLogs([route]);
+  }
+
+  /**
+   * Download a single log as GPX
+   * @param {string} format - 'trk' | 'rte' for routes, ignored for spots
+   */
+  #exportGPX(logId, format) {
+    const log = this.#logs.find((l) => l.id === logId);
+    if (!log) return;
+
+    const gpx =
+      log.type === 'route'
+        ? routeToGPX(log, format, this.#waypointsOf(log))
+        : spotToGPX(log);
+    this.#downloadFile(
+      `${this.#fileSlug(log.title)}.gpx`,
+      gpx,
+      'application/gpx+xml',
+    );
+  }
+
+  /**
+   * Import logs from a user-selected file
+   */
+  async #importFile(file) {
+    const parsers = {
+      gpx: parseGPX,
+      geojson: parseGeoJSON,
+      json: parseGeoJSON,
+      kml: parseKML,
+    };
+    const parse = parsers[file.name.split('.').pop().toLowerCase()];
+
+    if (!parse) {
+      this.#showToast('Unsupported file type (use GPX, GeoJSON or KML)');
+      return;
+    }
+
+    try {
+      const parsed = parse(await file.text());
+      const logs = this.#resolveIdConflicts(parsed);
+      const skipped = parsed.length - logs.length;
+
+      if (logs.length === 0) {
+        this.#showToast(
+          skipped > 0
+            ? 'Everything in this file is already in your logs'
+            : 'No routes or spots found in file',
+        );
+        return;
+      }
+
+      this.#importLogs(logs);
+      this.#showToast(
+        `Imported ${logs.length} ${logs.length === 1 ? 'log' : 'logs'}` +
+          (skipped > 0 ? ` (${skipped} already present)` : ''),
+      );
+    } catch (e) {
+      console.error('Error importing file:', e);
+      this.#showToast(`Import failed: ${e.message}`);
+    }
+  }
+
+  /**
+   * De-duplicate imported logs against existing ones by id
+   * Identical logs are dropped; different logs with a taken id get a new id.
+   * Photos and edit times are not compared, as interchange files may
+   * leave them out. Imported routes keep their waypoints when the
+   * attached spots are re-keyed.
+   */
+  #resolveIdConflicts(imported) {
+    const existing = new Map(this.#logs.map((log) => [log.id, log]));
+    const taken = new Set(existing.keys());
+    const identity = (log) => {
+      const { photos, updatedAt, ...data } = log.toJSON();
+      return JSON.stringify(data);
+    };
+
+    const rekeyed = new Map(); // imported id -> new id
+    const logs = imported.filter((log) => {
+      const match = existing.get(log.id);
+      if (match && identity(match) === identity(log)) return false;
+
+      const original = log.id;
+      while (taken.has(log.id)) log._setId(generateId());
+      if (log.id !== original) rekeyed.set(original, log.id);
+      taken.add(log.id);
+      return true;
+    });
+
+    logs
+      .filter((log) => log.type === 'route')
+      .forEach((route) =>
+        route.setWaypoints(route.waypoints.map((id) => rekeyed.get(id) ?? id)),
+      );
+    return logs;
+  }
+
+  /**
+   * Download logs (every log by default) as GeoJSON or KML
+   * @param {string} format - 'geojson' | 'kml'
+   * @param {Array<Route|Spot>} logs
+   * @param {string} name - Collection name to put in the file name
+   */
+  #exportAll(format, logs = this.#logs, name = '') {
+    if (logs.length === 0) {
+      this.#showToast('No logs to export');
+      return;
+    }
+
+    const stamp = new Date().toISOString().slice(0, 10);
+    const slug = name
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, '-')
+      .replace(/^-|-$/g, '');
+    const base = slug ? `scoutlog-${slug}-${stamp}` : `scoutlog-${stamp}`;
+
+    if (format === 'kml') {
+      this.#downloadFile(
+        `${base}.kml`,
+        logsToKML(logs),
+        'application/vnd.google-earth.kml+xml',
+      );
+    } else {
+      this.#downloadFile(
+        `${base}.geojson`,
+        logsToGeoJSON(logs),
+        'application/geo+json',
+      );
+    }
+  }
+
+  /**
+   * Show the settings dialog filled with the current values
+   */
+  #openSettings() {
+    const { routing } = this.#settings;
+    this.#routingUrlInput.value = routing.url;
+    this.#routingApiInput.value = routing.api;
+    this.#routingProfileInput.value = routing.profile;
+    this.#elevationUrlInput.value = this.#settings.elevation.url;
+    this.#settingsDialog.showModal();
+  }
+
+  /**
+   * Apply the settings dialog and rebuild the services. Setting an
+   * elevation service fills in the routes saved without elevation.
+   */
+  #submitSettings() {
+    const url = this.#elevationUrlInput.value.trim();
+    const elevationChanged = url !== this.#settings.elevation.url;
+
+    this.#settings.routing = {
+      ...this.#settings.routing, // Keeps an API key set by hand
+      api: this.#routingApiInput.value,
+      url: this.#routingUrlInput.value.trim(),
+      profile: this.#routingProfileInput.value.trim(),
+    };
+    this.#settings.elevation = { url };
+    this.#saveSettings();
+    this.#createServices();
+    this.#settingsDialog.close();
+
+    if (elevationChanged) this.#logs.forEach((log) => this.#fillElevation(log));
+  }
+
+  /**
+   * Show the stats panel for the logs the list currently shows
+   */
+  #openStats() {
+    this.#renderStats();
+    this.#statsDialog.showModal();
+  }
+
+  /**
+   * Fill the stats panel from the filtered logs
+   */
+  #renderStats() {
+    const logs = applyFilter(this.#logs, this.#filter);
+    const stats = trainingStats(logs);
+    const routes = `${stats.count} ${stats.count === 1 ? 'route' : 'routes'}`;
+
+    this.#statsScope.textContent = isFilterActive(this.#filter)
+      ? `${routes} matching the current filter`
+      : `All ${routes}`;
+    this.#statsBody.innerHTML = stats.count
+      ? this.#statsHTML(stats)
+      : '<p class="stats-panel__empty">No routes to analyse yet.</p>';
+  }
+
+  /**
+   * Stats panel markup: totals, weekly/monthly charts, pace trend,
+   * activities and a calendar heatmap
+   */
+  #statsHTML(stats) {
+    const { units } = this.#settings;
+    const distanceUnit = unitsOf(units).distance;
+    // Charts reach back into last year; only those dates show the year
+    const thisYear = new Date().getFullYear();
+    const shortDate = (date) =>
+      date.toLocaleDateString('en-US', {
+        month: 'short',
+        day: 'numeric',
+        ...(date.getFullYear() !== thisYear && { year: 'numeric' }),
+      });
+    const month = (date) =>
+      date.toLocaleDateString('en-US', { month: 'short', year: 'numeric' });
+
+    const periodBars = (periods, label) =>
+      periods.map((period) => ({
+        value: distanceIn(period.distance, units),
+        title: `${label(period.start)}: ${formatDistance(period.distance, units)} · ${formatDuration(period.duration)} · ${period.count} ${period.count === 1 ? 'route' : 'routes'}`,
+      }));
+
+    const tile = (value, label, note = '') => `
+      <div class="stats-tile">
+        <span class="stats-tile__value">${value}</span>
+        <span class="stats-tile__label">${label}</span>
+        ${note ? `<span class="stats-tile__note" title="${note}">${note}</span>` : ''}
+      </div>`;
+
+    const paceChart = lineChartSVG(
+      stats.paceTrend.map(({ date, pace }) => ({
+        value: paceIn(pace, units),
+        title: `${shortDate(date)}: ${formatPace(pace, units)}`,
+      })),
+      'Pace trend (higher is faster)',
+      { invert: true },
+    );
+
+    const maxActivity = Math.max(...stats.activities.map((a) => a.distance));
+    const activities = stats.activities
+      .map(({ activity, count, distance }) => {
+        const { label, icon, color } = ACTIVITIES[activity];
+        return `
+          <li class="stats-activity" style="color:${color};">
+            <i class="ph ${icon}" aria-hidden="true"></i>
+            <span>${label} · ${count}</span>
+            <span class="stats-activity__value">${formatDistance(distance, units)}</span>
+            <span class="stats-activity__bar" style="width:${maxActivity ? (distance / maxActivity) * 100 : 0}%;"></span>
+          </li>`;
+      })
+      .join('');
+
+    const days = calendarDays(53).map((date) => {
+      const km = stats.days.get(dayOf(date)) ?? 0;
+      return {
+        value: km,
+        title: `${shortDate(date)}: ${km ? formatDistance(km, units) : 'rest'}`,
+      };
+    });
+
+    const { longest } = stats;
+
+    return `
+      <div class="stats-tiles">
+        ${tile(formatDistance(stats.distance, units), 'Distance')}
+        ${tile(formatDuration(stats.duration), 'Time on feet')}
+        ${tile(stats.count, 'Routes')}
+        ${tile(formatDistance(longest.distance, units), 'Longest', this.#escapeHTML(longest.title))}
+      </div>
+
+      <section class="stats-section">
+        <h3 class="stats-section__title">Weekly distance (${distanceUnit})</h3>
+        ${barChartSVG(
+          periodBars(stats.weekly, (start) => `Week of ${shortDate(start)}`),
+          'Weekly distance, last 12 weeks',
+        )}
+        <div class="stats-section__axis"><span>${shortDate(stats.weekly[0].start)}</span><span>This week</span></div>
+      </section>
+
+      <section class="stats-section">
+        <h3 class="stats-section__title">Monthly distance (${distanceUnit})</h3>
+        ${barChartSVG(periodBars(stats.monthly, month), 'Monthly distance, last 12 months')}
+        <div class="stats-section__axis"><span>${month(stats.monthly[0].start)}</span><span>This month</span></div>
+      </section>
+
+      <section class="stats-section">
+        <h3 class="stats-section__title">Pace trend (${unitsOf(units).pace})</h3>
+        ${
+          paceChart
+            ? `${paceChart}
+        <div class="stats-section__axis"><span>${shortDate(stats.paceTrend[0].date)}</span><span>Higher is faster</span><span>${shortDate(stats.paceTrend.at(-1).date)}</span></div>`
+            : '<p class="stats-section__note">Add durations to two or more runs or walks to see a trend.</p>'
+        }
+      </section>
+
+      <section class="stats-section">
+        <h3 class="stats-section__title">Activities</h3>
+        <ul class="stats-activities">${activities}</ul>
+      </section>
+
+      <section class="stats-section">
+        <h3 class="stats-section__title">Last 12 months</h3>
+        ${heatmapSVG(days, 'Distance per day, last 53 weeks')}
+      </section>
+    `;
+  }
+
+  /**
+   * Download a versioned backup of all logs and settings
+   */
+  #downloadBackup() {
+    const stamp = new Date().toISOString().slice(0, 10);
+    this.#downloadFile(
+      `scoutlog-backup-${stamp}.json`,
+      createBackup(this.#logs, this.#settings),
+      'application/json',
+    );
+  }
+
+  /**
+   * Validate a backup file and ask whether to merge or replace
+   */
+  async #readBackup(file) {
+    try {
+      this.#pendingRestore = parseBackup(await file.text());
+    } catch (e) {
+      console.error('Error reading backup:', e);
+      this.#showToast(`Restore failed: ${e.message}`);
+      return;
+    }
+
+    const { logs, skipped, exportedAt } = this.#pendingRestore;
+    const count = `${logs.length} ${logs.length === 1 ? 'log' : 'logs'}`;
+    const from = exportedAt ? ` from ${exportedAt.toLocaleDateString()}` : '';
+    const corrupt =
+      skipped > 0
+        ? ` ${skipped} corrupt ${skipped === 1 ? 'entry' : 'entries'} skipped.`
+        : '';
+
+    this.#restoreMessage.textContent =
+      `Backup${from} contains ${count}.${corrupt} ` +
+      'Merge it with your current logs, or replace them?';
+    this.#restoreDialog.showModal();
+  }
+
+  /**
+   * Apply the pending backup
+   * @param {string} mode - 'merge' keeps current logs, 'replace' discards them
+   */
+  #confirmRestore(mode) {
+    const backup = this.#pendingRestore;
+    if (!backup) return;
+
+    const previous = [...this.#logs];
+    const next =
+      mode === 'replace' ? backup.logs : this.#mergeLogs(previous, backup.logs);
+
+    // Replacing also restores the backup's settings (merging keeps them)
+    const previousSettings = this.#settings;
+    const nextSettings =
+      mode === 'replace' ? backup.settings : previousSettings;
+
+    this.#applySettings(nextSettings);
+    this.#replaceLogs(next);
+    this.#history.push({
+      undo: () => {
+        this.#applySettings(previousSettings);
+        this.#replaceLogs(previous);
+      },
+      redo: () => {
+        this.#applySettings(nextSettings);
+        this.#replaceLogs(next);
+      },
+    });
+
+    this.#cancelRestore();
+    this.#showToast(
+      `Restored backup (${next.length} ${next.length === 1 ? 'log' : 'logs'})`,
+    );
+  }
 
-    this.#emptyState.insertAdjacentHTML('beforebegin', html);
+  /**
+   * Close the restore dialog without applying anything
+   */
+  #cancelRestore() {
+    this.#pendingRestore = null;
+    this.#restoreDialog.close();
   }
 
   /**
-   * Handle log card click - select route and persist animation
+   * Merge backup logs into current ones
+   * Same id: the log edited last wins (ties keep the current log)
    */
-  #handleLogClick(e) {
-    // Check if delete button was clicked
-    const deleteBtn = e.target.closest('.log-card__delete');
-    if (deleteBtn) {
-      e.stopPropagation();
-      const logId = deleteBtn.dataset.id;
-      this.#deleteLog(logId);
-      return;
-    }
+  #mergeLogs(current, incoming) {
+    const merged = new Map(current.map((log) => [log.id, log]));
 
-    const card = e.target.closest('.log-card');
-    if (!card) return;
+    incoming.forEach((log) => {
+      const existing = merged.get(log.id);
+      if (!existing || log.updatedAt > existing.updatedAt) {
+        merged.set(log.id, log);
+      }
+    });
 
-    const log = this.#logs.find((l) => l.id === card.dataset.id);
-    if (!log) return;
+    return [...merged.values()];
+  }
 
-    // Deselect previous route if different
-    if (this.#selectedRouteId && this.#selectedRouteId !== log.id) {
-      this.#stopRouteAnimation(this.#selectedRouteId);
-      const prevLayer = this.#drawnLayers.get(this.#selectedRouteId);
-      if (prevLayer && prevLayer.setStyle) {
-        prevLayer.setStyle({ color: '#9ca3af', weight: 3, opacity: 0.6 });
-      }
-    }
+  /**
+   * Swap the whole collection, re-rendering map layers and cards
+   */
+  #replaceLogs(logs) {
+    this.#stopInteraction();
+    this.#deselectRoute();
+    this.#mergeSelection.clear();
+    this.#updateMergeUI();
 
-    if (log.type === 'route') {
-      this.#map.fitBounds(L.latLngBounds(log.coords), { padding: [50, 50] });
-      // Select and animate
-      this.#selectedRouteId = log.id;
-      this.#animateRoute(log.id, log.coords);
-    } else {
-      this.#map.setView(log.coords, 16);
-      this.#selectedRouteId = null;
+    this.#logs.forEach((log) => {
+      if (this.#map) this.#removeLogFromMap(log.id);
+    });
+    this.#logListItems
+      .querySelectorAll('.log-card')
+      .forEach((card) => card.remove());
+
+    this.#logs = [...logs];
+    this.#logs.forEach((log) => {
+      if (this.#map) this.#renderLogOnMap(log);
+      this.#renderLogCard(log);
+    });
+
+    this.#persist((storage) =>
+      storage.replaceAll(this.#logs.map((log) => log.toJSON())),
+    );
+    this.#applyFilter();
+  }
+
+  /**
+   * Append imported logs, render them and make the import undoable
+   */
+  #importLogs(logs) {
+    const start = this.#logs.length;
+
+    logs.forEach((log) => {
+      this.#logs.push(log);
+      if (this.#map) this.#renderLogOnMap(log);
+      this.#renderLogCard(log);
+    });
+
+    this.#saveLogs(logs);
+    this.#applyFilter();
+    logs.forEach((log) => this.#fillElevation(log));
+
+    this.#history.push({
+      undo: () => logs.forEach((log) => this.#removeLog(log.id)),
+      redo: () => logs.forEach((log, i) => this.#addLog(log, start + i)),
+    });
+
+    // Show everything that was imported
+    if (this.#map) {
+      const points = logs.flatMap((log) =>
+        log.type === 'route' ? log.coords : [log.coords],
+      );
+      this.#map.fitBounds(L.latLngBounds(points), { padding: [50, 50] });
     }
+  }
 
-    // Open popup
-    const layer = this.#drawnLayers.get(log.id);
-    if (layer) layer.openPopup();
+  /**
+   * Trigger a browser download for generated content
+   */
+  #downloadFile(filename, content, mimeType) {
+    const url = URL.createObjectURL(new Blob([content], { type: mimeType }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+  }
+
+  /**
+   * Escape user/imported text for safe insertion into HTML templates
+   */
+  #escapeHTML(text = '') {
+    return String(text)
+      .replace(/&/g, '&amp;')
+      .replace(/</g, '&lt;')
+      .replace(/>/g, '&gt;')
+      .replace(/"/g, '&quot;');
+  }
+
+  /**
+   * File-name-safe version of a log title
+   */
+  #fileSlug(title) {
+    return (
+      title
+        .toLowerCase()
+        .replace(/[^a-z0-9]+/g, '-')
+        .replace(/^-|-$/g, '') || 'scoutlog'
+    );
+  }
+
+  /**
+   * Show a short-lived status message
+   */
+  #showToast(message) {
+    this.#toast.textContent = message;
+    this.#toast.classList.add('toast--visible');
+
+    clearTimeout(this.#toastTimer);
+    this.#toastTimer = setTimeout(
+      () => this.#toast.classList.remove('toast--visible'),
+      3000,
+    );
   }
 
   /**
@@ -874,7 +3584,14 @@ class App {
 
     // Store pending delete and show dialog
     this.#pendingDeleteId = logId;
-    this.#deleteMessage.textContent = `"${log.title}" will be permanently deleted.`;
+    this.#deleteMessage.textContent = `"${log.title}" will be deleted. Press Ctrl+Z to undo.`;
+
+    // Offer to delete a route's attached spots with it
+    const spots = log.type === 'route' ? this.#waypointsOf(log) : [];
+    this.#deleteWaypointsOption.hidden = spots.length === 0;
+    this.#deleteWaypointsInput.checked = false;
+    this.#deleteWaypointsLabel.textContent = `Also delete ${spots.length} attached ${spots.length === 1 ? 'spot' : 'spots'}`;
+
     this.#deleteDialog.showModal();
   }
 
@@ -885,32 +3602,23 @@ class App {
     const logId = this.#pendingDeleteId;
     if (!logId) return;
 
-    // Stop any animation
-    if (this.#selectedRouteId === logId) {
-      this.#deselectRoute();
-    }
-    this.#stopRouteAnimation(logId);
-
-    // Remove from map
-    const layer = this.#drawnLayers.get(logId);
-    if (layer) {
-      this.#map.removeLayer(layer);
-      this.#drawnLayers.delete(logId);
-    }
-
-    // Remove from logs array
-    this.#logs = this.#logs.filter((l) => l.id !== logId);
-
-    // Remove from DOM
-    const card = document.querySelector(`.log-card[data-id="${logId}"]`);
-    if (card) card.remove();
-
-    // Save to LocalStorage
-    this.#saveToLocalStorage();
-
-    // Update count
-    this.#updateLogCount();
-    this.#updateEmptyState();
+    const log = this.#logs.find((l) => l.id === logId);
+    const withSpots =
+      log.type === 'route' && this.#deleteWaypointsInput.checked
+        ? this.#waypointsOf(log)
+        : [];
+
+    // Remember positions in list order so undo can re-insert front to back
+    const removed = [log, ...withSpots]
+      .map((l) => [l, this.#logs.indexOf(l)])
+      .sort((a, b) => a[1] - b[1]);
+    removed.forEach(([l]) => this.#removeLog(l.id));
+
+    // Undo restores the logs at their original positions
+    this.#history.push({
+      undo: () => removed.forEach(([l, index]) => this.#addLog(l, index)),
+      redo: () => removed.forEach(([l]) => this.#removeLog(l.id)),
+    });
 
     // Close dialog
     this.#pendingDeleteId = null;
@@ -957,10 +3665,10 @@ class App {
 
     this.#stopRouteAnimation(logId);
 
-    // Reset to default gray style
+    // Reset to the resting style
     const layer = this.#drawnLayers.get(logId);
     if (layer && layer.setStyle) {
-      layer.setStyle({ color: '#9ca3af', weight: 3, opacity: 0.6 });
+      layer.setStyle(this.#routeStyle(logId));
     }
   }
 
@@ -1054,17 +3762,19 @@ class App {
    * Deselect current route and stop its animation
    */
   #deselectRoute() {
+    this.#markCardSelected(null);
     if (!this.#selectedRouteId) return;
 
     const logId = this.#selectedRouteId;
     this.#selectedRouteId = null;
 
     this.#stopRouteAnimation(logId);
+    this.#hideDistanceMarkers();
 
-    // Reset to default gray style
+    // Reset to the resting style
     const layer = this.#drawnLayers.get(logId);
     if (layer && layer.setStyle) {
-      layer.setStyle({ color: '#9ca3af', weight: 3, opacity: 0.6 });
+      layer.setStyle(this.#routeStyle(logId));
     }
   }
 
@@ -1073,7 +3783,115 @@ class App {
    */
   #updateLogCount() {
     const count = this.#logs.length;
-    this.#logCount.textContent = `${count} ${count === 1 ? 'entry' : 'entries'}`;
+    const entries = `${count} ${count === 1 ? 'entry' : 'entries'}`;
+    const shown = this.#logs.filter((log) =>
+      matchesFilter(log, this.#filter),
+    ).length;
+
+    this.#logCount.textContent =
+      shown === count ? entries : `${shown} of ${entries}`;
+    this.#renderGroups();
+    if (this.#statsDialog.open) this.#renderStats();
+  }
+
+  /**
+   * List collections and tags with their log counts. Collections can be
+   * toggled on the map and exported; clicking a name filters the list.
+   */
+  #renderGroups() {
+    const collections = countLabels(this.#logs, 'collections');
+    const tags = countLabels(this.#logs, 'tags');
+    const { hiddenCollections } = this.#settings;
+
+    this.#logGroups.hidden = !collections.length && !tags.length;
+    if (this.#filter.tag || this.#filter.collection) {
+      this.#logGroups.open = true;
+    }
+
+    const nameButton = (key, name, count, label) => `
+      <button type="button" class="label-chip label-chip--${key}" data-action="filter-label" data-key="${key}" data-name="${this.#escapeHTML(name)}" aria-pressed="${this.#filter[key] === name}">
+        ${label}
+        <span class="label-chip__count">${count}</span>
+      </button>`;
+
+    const collectionItems = collections
+      .map(([name, count]) => {
+        const shown = !hiddenCollections.includes(name);
+        const escaped = this.#escapeHTML(name);
+        return `
+          <li class="log-groups__item">
+            ${nameButton('collection', name, count, `<i class="ph ph-folder" aria-hidden="true"></i>${escaped}`)}
+            <button type="button" class="log-groups__tool" data-action="toggle-collection" data-name="${escaped}" aria-pressed="${shown}" title="${shown ? 'Hide from' : 'Show on'} the map">
+              <i class="ph ${shown ? 'ph-eye' : 'ph-eye-slash'}" aria-hidden="true"></i>
+            </button>
+            <details class="dropdown">
+              <summary class="log-groups__tool" title="Export ${escaped}">
+                <i class="ph ph-download-simple" aria-hidden="true"></i>
+              </summary>
+              <div class="dropdown__items">
+                <button type="button" class="dropdown__item" data-action="export-collection" data-name="${escaped}" data-format="geojson">GeoJSON</button>
+                <button type="button" class="dropdown__item" data-action="export-collection" data-name="${escaped}" data-format="kml">KML</button>
+              </div>
+            </details>
+          </li>`;
+      })
+      .join('');
+
+    const tagItems = tags
+      .map(([name, count]) =>
+        nameButton('tag', name, count, `#${this.#escapeHTML(name)}`),
+      )
+      .join('');
+
+    this.#logGroupsBody.innerHTML = `
+      ${collections.length ? `<h3 class="log-groups__heading">Collections</h3><ul class="log-groups__list">${collectionItems}</ul>` : ''}
+      ${tags.length ? `<h3 class="log-groups__heading">Tags</h3><div class="log-groups__tags">${tagItems}</div>` : ''}
+    `;
+  }
+
+  /**
+   * Collection and tag actions from the groups panel
+   */
+  #handleGroupAction({ action, key, name, format }) {
+    switch (action) {
+      case 'filter-label':
+        this.#toggleLabelFilter(key, name);
+        break;
+      case 'toggle-collection':
+        this.#toggleCollectionOnMap(name);
+        break;
+      case 'export-collection':
+        this.#exportAll(
+          format,
+          this.#logs.filter((log) => log.collections.includes(name)),
+          name,
+        );
+        break;
+    }
+  }
+
+  /**
+   * Show only logs with a tag or in a collection, or clear that filter
+   * @param {'tag' | 'collection'} key
+   */
+  #toggleLabelFilter(key, name) {
+    this.#setFilter({
+      ...this.#filter,
+      [key]: this.#filter[key] === name ? '' : name,
+    });
+    this.#renderFilterForm();
+  }
+
+  /**
+   * Take a collection's logs off the map or put them back (persisted)
+   */
+  #toggleCollectionOnMap(name) {
+    const hidden = this.#settings.hiddenCollections;
+    this.#settings.hiddenCollections = hidden.includes(name)
+      ? hidden.filter((n) => n !== name)
+      : [...hidden, name];
+    this.#saveSettings();
+    this.#applyFilter();
   }
 
   /**
@@ -1081,38 +3899,375 @@ class App {
    */
   #updateEmptyState() {
     this.#emptyState.style.display = this.#logs.length === 0 ? 'flex' : 'none';
+    this.#noMatches.hidden =
+      this.#logs.length === 0 ||
+      this.#logs.some((log) => matchesFilter(log, this.#filter));
   }
 
   /**
-   * Save logs to LocalStorage
+   * Change the log list filter, apply it and keep it in the URL
    */
-  #saveToLocalStorage() {
-    const data = this.#logs.map((log) => log.toJSON());
-    localStorage.setItem('scoutlog-logs', JSON.stringify(data));
+  #setFilter(filter) {
+    this.#filter = filter;
+    this.#applyFilter();
+
+    const search = filterToSearch(filter, location.search);
+    history.replaceState(
+      history.state,
+      '',
+      `${location.pathname}${search}${location.hash}`,
+    );
   }
 
   /**
-   * Load logs from LocalStorage
+   * Show only the logs that pass the filter, in its order, on both the
+   * list and the map
    */
-  #loadFromLocalStorage() {
-    const data = localStorage.getItem('scoutlog-logs');
-    if (!data) return;
+  #applyFilter() {
+    const shown = applyFilter(this.#logs, this.#filter);
+    const visible = new Set(shown);
+
+    // A hidden route can't stay selected
+    const selected = this.#logs.find((l) => l.id === this.#selectedRouteId);
+    if (selected && !visible.has(selected)) this.#deselectRoute();
+
+    this.#logs.forEach((log) => {
+      const card = this.#logCard(log.id);
+      if (card) card.hidden = !visible.has(log);
+      if (this.#map) {
+        this.#showLogOnMap(log.id, visible.has(log) && this.#isOnMap(log));
+      }
+    });
+
+    // Cards follow the sort order (#renderLogCard inserts in #logs order)
+    shown.forEach((log) => {
+      const card = this.#logCard(log.id);
+      if (card) this.#emptyState.before(card);
+    });
+
+    this.#filterClear.hidden = !isFilterActive(this.#filter);
+    this.#updateLogCount();
+    this.#updateEmptyState();
+  }
+
+  /**
+   * Whether a log passes the filter and none of its collections is hidden
+   */
+  #isOnMap(log) {
+    const { hiddenCollections } = this.#settings;
+    return (
+      matchesFilter(log, this.#filter) &&
+      !log.collections.some((name) => hiddenCollections.includes(name))
+    );
+  }
+
+  /**
+   * Add a log's layers to the map or take them off (they are kept)
+   */
+  #showLogOnMap(logId, show) {
+    const layers = [
+      this.#drawnLayers.get(logId),
+      ...(this.#endpointMarkers.get(logId) ?? []),
+    ];
+    layers
+      .filter(Boolean)
+      .forEach((layer) =>
+        show ? layer.addTo(this.#map) : layer.removeFrom(this.#map),
+      );
+  }
+
+  /**
+   * Filter as entered in the form (distances in display units)
+   */
+  #readFilterForm() {
+    const { kmPerUnit } = unitsOf(this.#settings.units);
+    const km = (input) => {
+      const value = parseFloat(input.value);
+      return Number.isFinite(value) && value >= 0 ? value * kmPerUnit : null;
+    };
+
+    // Tag and collection are picked from chips, not the form
+    return {
+      ...this.#filter,
+      query: this.#filterQuery.value,
+      type: this.#filterType.value,
+      from: this.#filterFrom.value,
+      to: this.#filterTo.value,
+      minDistance: km(this.#filterMin),
+      maxDistance: km(this.#filterMax),
+      sort: this.#filterSort.value,
+    };
+  }
+
+  /**
+   * Show the current filter in the form, in the current units
+   */
+  #renderFilterForm() {
+    const { units } = this.#settings;
+    const display = (km) =>
+      km === null ? '' : String(Number(distanceIn(km, units).toFixed(2)));
+
+    this.#filterQuery.value = this.#filter.query;
+    this.#filterType.value = this.#filter.type;
+    this.#filterFrom.value = this.#filter.from;
+    this.#filterTo.value = this.#filter.to;
+    this.#filterMin.value = display(this.#filter.minDistance);
+    this.#filterMax.value = display(this.#filter.maxDistance);
+    this.#filterSort.value = this.#filter.sort;
+    this.#filterForm
+      .querySelectorAll('.filter-unit')
+      .forEach((el) => (el.textContent = unitsOf(units).distance));
+
+    // Keep the extra fields open when any of them is in use
+    const { query, type, tag, collection, ...more } = this.#filter;
+    if (isFilterActive({ ...DEFAULT_FILTER, ...more })) {
+      this.#filterMore.open = true;
+    }
+    this.#filterClear.hidden = !isFilterActive(this.#filter);
+  }
+
+  /**
+   * Load logs from storage and render them once ready
+   */
+  async #loadLogs() {
+    let loaded = [];
 
     try {
-      const logsData = JSON.parse(data);
-      this.#logs = logsData
-        .map((obj) => {
-          if (obj.type === 'route') {
-            return Route.fromJSON(obj);
-          } else if (obj.type === 'spot') {
-            return Spot.fromJSON(obj);
-          }
-          return null;
-        })
-        .filter(Boolean);
+      const storage = await this.#storage;
+      const records = await storage.load();
+
+      // Corrupt entries are skipped individually
+      const { logs, skipped, rekeyed } = parseLogs(records);
+      loaded = logs;
+
+      if (skipped > 0) {
+        storage.quarantine(JSON.stringify(records), 'corrupt-entries');
+        console.warn(`Skipped ${skipped} corrupt log entries`);
+      }
+
+      // Persist the new ids so they stay stable across loads
+      if (rekeyed.length > 0) {
+        console.warn(
+          `Re-keyed ${rekeyed.length} logs with unsafe or duplicate ids`,
+        );
+        await storage.replaceAll(logs.map((log) => log.toJSON()));
+      }
     } catch (e) {
       console.error('Error loading logs:', e);
-      this.#logs = [];
+      this.#showToast('Saved logs could not be read - a copy was kept');
+    }
+
+    // Keep anything created while storage was still opening
+    this.#logs = [...loaded, ...this.#logs];
+    this.#sync = new SyncChannel(() => this.#syncFromStorage());
+
+    if (this.#map) {
+      loaded.forEach((log) => {
+        this.#renderLogOnMap(log);
+        this.#renderLogCard(log);
+      });
+      this.#applyFilter();
+    } else {
+      this.#updateLogCount();
+    }
+  }
+
+  /**
+   * Insert or update logs in storage
+   * @param {Object} position - after: id of the log new ones follow (omit to
+   *   append)
+   */
+  #saveLogs(logs, position = {}) {
+    const records = logs.map((log) => log.toJSON());
+    this.#persist((storage) => storage.put(records, position));
+  }
+
+  /**
+   * Delete logs from storage
+   */
+  #deleteStoredLogs(ids) {
+    this.#persist((storage) => storage.delete(ids));
+  }
+
+  /**
+   * Run a storage write once the adapter is ready, surfacing failures
+   */
+  #persist(operation) {
+    this.#storage
+      .then((storage) => operation(storage))
+      .then(() => this.#sync?.notify())
+      .catch((e) => this.#handleStorageError(e));
+  }
+
+  /**
+   * Reload logs after another tab changed them
+   * Conflict rule: storage holds the last committed write for each log and
+   * always wins. Changed logs are updated in place so undo keeps working;
+   * an open edit is kept and simply becomes the newest write when saved,
+   * unless its log was deleted in the other tab.
+   */
+  async #syncFromStorage() {
+    // Coalesce bursts of notifications into one more pass
+    if (this.#isSyncing) {
+      this.#syncQueued = true;
+      return;
+    }
+    this.#isSyncing = true;
+
+    try {
+      const storage = await this.#storage;
+      const { logs } = parseLogs(await storage.load());
+      this.#applyStoredLogs(logs);
+    } catch (e) {
+      console.error('Error syncing logs:', e);
+    }
+
+    this.#isSyncing = false;
+    if (this.#syncQueued) {
+      this.#syncQueued = false;
+      this.#syncFromStorage();
+    }
+  }
+
+  /**
+   * Bring the list and map in line with logs read from storage
+   */
+  #applyStoredLogs(stored) {
+    // Before the map loads nothing is rendered yet
+    if (!this.#map) {
+      this.#logs = stored;
+      this.#updateLogCount();
+      return;
+    }
+
+    const storedIds = new Set(stored.map((log) => log.id));
+    const removed = this.#logs.filter((log) => !storedIds.has(log.id));
+
+    removed.forEach((log) => {
+      if (log.id === this.#editingLogId) {
+        this.#closeForm();
+        this.#showToast(`"${log.title}" was deleted in another tab`);
+      }
+      if (log.id === this.#pendingDeleteId) this.#cancelDelete();
+      this.#removeLog(log.id, { persist: false });
+    });
+
+    stored.forEach((incoming, index) => {
+      const log = this.#logs.find((l) => l.id === incoming.id);
+
+      if (!log) {
+        this.#addLog(incoming, Math.min(index, this.#logs.length), {
+          persist: false,
+        });
+      } else if (
+        JSON.stringify(log.toJSON()) !== JSON.stringify(incoming.toJSON())
+      ) {
+        this.#assignLog(log, incoming);
+      }
+    });
+  }
+
+  /**
+   * Copy another tab's version of a log onto the local instance
+   */
+  #assignLog(log, incoming) {
+    if (log.type === 'route') {
+      log.update({
+        title: incoming.title,
+        duration: incoming.duration,
+        notes: incoming.notes,
+        activity: incoming.activity,
+        tags: incoming.tags,
+        collections: incoming.collections,
+      });
+      // Stored vertices (null when every point is user-placed)
+      log.updateCoords(
+        incoming.coords,
+        incoming.distance,
+        incoming.toJSON().vertices,
+      );
+      log.setWaypoints(incoming.waypoints);
+    } else {
+      log.update({
+        title: incoming.title,
+        description: incoming.description,
+        category: incoming.category,
+        photos: incoming.photos,
+        tags: incoming.tags,
+        collections: incoming.collections,
+      });
+      log._setCoords(incoming.coords);
+    }
+    log.touch(incoming.updatedAt);
+
+    // Redrawing rebuilds the popup (e.g. waypoints) and restyles a spot
+    // whose category changed. A route whose path is being edited is
+    // redrawn when the edit ends.
+    if (log.id !== this.#editingRouteId) this.#redrawLog(log);
+    this.#updateLogCard(log);
+    this.#applyFilter();
+  }
+
+  /**
+   * Tell the user a change was not saved
+   */
+  #handleStorageError(e) {
+    console.error('Error saving logs:', e);
+    this.#showToast(
+      isQuotaError(e)
+        ? 'Storage is full - changes were not saved. Back up and remove some logs.'
+        : 'Changes could not be saved',
+    );
+  }
+
+  /**
+   * Save settings to LocalStorage
+   */
+  #saveSettings() {
+    try {
+      localStorage.setItem('scoutlog-settings', JSON.stringify(this.#settings));
+    } catch (e) {
+      this.#handleStorageError(e);
+    }
+  }
+
+  /**
+   * (Re)build the routing and elevation services from the settings.
+   * Without an elevation service, routes only keep GPX elevation.
+   */
+  #createServices() {
+    this.#router = new HttpRouter(this.#settings.routing);
+    this.#elevationProvider = this.#settings.elevation.url
+      ? new OpenElevationProvider(this.#settings.elevation)
+      : null;
+  }
+
+  /**
+   * Replace all settings (e.g. from a backup), persist them and refresh
+   * everything that depends on them
+   */
+  #applySettings(settings) {
+    if (settings === this.#settings) return;
+
+    this.#settings = settings;
+    this.#saveSettings();
+    this.#createServices();
+    this.#refreshUnits();
+    this.#updateModeUI();
+  }
+
+  /**
+   * Load settings from LocalStorage (unknown, missing or invalid values fall
+   * back to defaults)
+   */
+  #loadSettings() {
+    const data = localStorage.getItem('scoutlog-settings');
+    if (!data) return;
+
+    try {
+      this.#settings = parseSettings(JSON.parse(data));
+    } catch (e) {
+      console.error('Error loading settings:', e);
     }
   }
 }
@@ -0,0 +1,15 @@
+/**
+ * ElevationProvider Base Class
+ * Interface for elevation sources (DEM tiles, elevation APIs).
+ */
+
+export class ElevationProvider {
+  /**
+   * Looks up the ground elevation of points
+   * @param {Array<[number, number]>} points - Array of [lat, lng]
+   * @returns {Promise<Array<number | null>>} Meters per point (null if unknown)
+   */
+  async lookup(points) {
+    throw new Error('lookup() not implemented');
+  }
+}
@@ -0,0 +1,63 @@
+/**
+ * OpenElevationProvider Class
+ * Looks up elevation through an Open-Elevation compatible API
+ * (POST /api/v1/lookup), hosted publicly or locally.
+ */
+
+import { ElevationProvider } from './ElevationProvider.js';
+
+const BATCH_SIZE = 200; // Points per request
+const REQUEST_TIMEOUT = 15000; // ms
+
+export class OpenElevationProvider extends ElevationProvider {
+  #url;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Base URL, e.g. https://api.open-elevation.com
+   */
+  constructor({ url } = {}) {
+    super();
+    this.#url = url.replace(/\/+$/, '');
+  }
+
+  async lookup(points) {
+    const elevations = [];
+
+    for (let i = 0; i < points.length; i += BATCH_SIZE) {
+      const batch = points.slice(i, i + BATCH_SIZE);
+      elevations.push(...(await this.#lookupBatch(batch)));
+    }
+
+    return elevations;
+  }
+
+  /**
+   * Requests elevation for one batch of points
+   */
+  async #lookupBatch(points) {
+    const response = await fetch(`${this.#url}/api/v1/lookup`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        locations: points.map(([latitude, longitude]) => ({
+          latitude,
+          longitude,
+        })),
+      }),
+      signal: AbortSignal.timeout?.(REQUEST_TIMEOUT),
+    });
+    if (!response.ok) {
+      throw new Error(`Elevation service responded with ${response.status}`);
+    }
+
+    const { results } = await response.json();
+    if (!Array.isArray(results) || results.length !== points.length) {
+      throw new Error('Unexpected elevation response');
+    }
+
+    return results.map(({ elevation }) =>
+      Number.isFinite(elevation) ? elevation : null,
+    );
+  }
+}
@@ -3,17 +3,53 @@
  * Parent class for Route and Spot
  */
 
+/**
+ * Generates a collision-free id (UUID v4) for a new log
+ */
+export function generateId() {
+  if (crypto.randomUUID) return crypto.randomUUID();
+
+  // randomUUID is only exposed in secure contexts - build one by hand
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  bytes[6] = (bytes[6] & 0x0f) | 0x40; // version 4
+  bytes[8] = (bytes[8] & 0x3f) | 0x80; // RFC 4122 variant
+
+  const hex = [...bytes].map((b) => b.toString(16).padStart(2, '0')).join('');
+  return [
+    hex.slice(0, 8),
+    hex.slice(8, 12),
+    hex.slice(12, 16),
+    hex.slice(16, 20),
+    hex.slice(20),
+  ].join('-');
+}
+
+// Ids from files must be plain tokens: they end up in markup and selectors
+const SAFE_ID = /^[\w-]{1,64}$/;
+
+/**
+ * Whether an id from a file or storage can be kept as-is (UUIDs and other
+ * word-character tokens)
+ */
+export function isSafeId(value) {
+  return typeof value === 'string' && SAFE_ID.test(value);
+}
+
 export class Log {
   #date;
+  #updatedAt; // Last edit, decides which copy wins when merging backups
   #id;
   #coords;
+  #tags = []; // Lowercase keywords
+  #collections = []; // Names of the groups the log belongs to
 
   /**
    * @param {Array} coords - Coordinates (single [lat,lng] or array of points)
    */
   constructor(coords) {
     this.#date = new Date();
-    this.#id = (Date.now() + '').slice(-10);
+    this.#updatedAt = this.#date;
+    this.#id = generateId();
     this.#coords = coords;
   }
 
@@ -22,6 +58,10 @@ export class Log {
     return this.#date;
   }
 
+  get updatedAt() {
+    return this.#updatedAt;
+  }
+
   get id() {
     return this.#id;
   }
@@ -30,6 +70,31 @@ export class Log {
     return this.#coords;
   }
 
+  get tags() {
+    return [...this.#tags];
+  }
+
+  get collections() {
+    return [...this.#collections];
+  }
+
+  /**
+   * Replaces tags and/or collections (normalized by the caller, see labels.js)
+   * @param {Object} labels - Any of { tags, collections }
+   */
+  setLabels({ tags, collections } = {}) {
+    if (tags !== undefined) this.#tags = [...tags];
+    if (collections !== undefined) this.#collections = [...collections];
+  }
+
+  /**
+   * Marks the log as edited
+   * @param {Date} date - When (defaults to now)
+   */
+  touch(date = new Date()) {
+    this.#updatedAt = date;
+  }
+
   /**
    * Formats date for display
    */
@@ -57,16 +122,45 @@ export class Log {
     return {
       id: this.#id,
       date: this.#date.toISOString(),
+      updatedAt: this.#updatedAt.toISOString(),
       coords: this.#coords,
+      tags: [...this.#tags],
+      collections: [...this.#collections],
     };
   }
 
+  /**
+   * Replaces coordinates (used when editing a saved log)
+   */
+  _setCoords(coords) {
+    this.#coords = coords;
+  }
+
+  /**
+   * Replaces the id (used to keep imported ids or resolve id conflicts)
+   */
+  _setId(id) {
+    this.#id = id;
+  }
+
+  /**
+   * Replaces the log date (used when importing dated files)
+   */
+  _setDate(date) {
+    this.#date = date;
+  }
+
   /**
    * Restores from JSON data
    */
   _restoreFromJSON(data) {
     this.#id = data.id;
     this.#date = new Date(data.date);
+    this.#updatedAt = data.updatedAt ? new Date(data.updatedAt) : this.#date;
     this.#coords = data.coords;
+    this.setLabels({
+      tags: data.tags ?? [],
+      collections: data.collections ?? [],
+    });
   }
 }
@@ -4,6 +4,8 @@
  */
 
 import { Log } from './Log.js';
+import { elevationStats } from '../utils/elevation.js';
+import { DEFAULT_ACTIVITY, naismithMinutes } from './activities.js';
 
 export class Route extends Log {
   type = 'route';
@@ -13,13 +15,18 @@ export class Route extends Log {
   #duration; // User input in minutes
   #pace; // Calculated min/km
   #notes;
+  #activity; // Key of ACTIVITIES
+  #vertices = null; // Indexes of user-placed points (null: every point)
+  #waypoints = []; // Ids of spots attached to the route
 
   /**
    * @param {Array<[number, number]>} coordsArray - Array of [lat, lng] points
+   *   (optionally [lat, lng, ele] with elevation in meters)
    * @param {number} distance - Pre-calculated distance in km
    * @param {string} title - Route title
    * @param {number} duration - Duration in minutes
    * @param {string} notes - Optional notes
+   * @param {string} activity - Activity key (run, cycle, hike, walk)
    */
   constructor(
     coordsArray,
@@ -27,6 +34,7 @@ export class Route extends Log {
     title = 'Untitled Route',
     duration = 0,
     notes = '',
+    activity = DEFAULT_ACTIVITY,
   ) {
     super(coordsArray);
     this.#title = title;
@@ -34,6 +42,7 @@ export class Route extends Log {
     this.#duration = duration;
     this.#pace = this.#calcPace();
     this.#notes = notes;
+    this.#activity = activity;
   }
 
   /**
@@ -44,6 +53,52 @@ export class Route extends Log {
     return this.#duration / this.#distance;
   }
 
+  /**
+   * Replaces the route geometry and recalculates derived stats
+   * @param {Array<[number, number]>} coordsArray - New array of [lat, lng] points
+   * @param {number} distance - Recalculated distance in km
+   * @param {Array<number> | null} vertices - User-placed point indexes
+   *   (omit to keep them, e.g. when only elevation was filled in)
+   */
+  updateCoords(coordsArray, distance, vertices) {
+    this._setCoords(coordsArray);
+    this.#distance = distance;
+    this.#pace = this.#calcPace();
+    if (vertices !== undefined) this.setVertices(vertices);
+  }
+
+  /**
+   * Records which points the user placed (the rest were filled in by routing)
+   * @param {Array<number> | null} indexes - Ascending indexes into coords,
+   *   or null when every point was placed by the user
+   */
+  setVertices(indexes) {
+    this.#vertices = indexes ? [...indexes] : null;
+  }
+
+  /**
+   * Updates editable details and recalculates pace
+   * @param {Object} details - Any of { title, duration, notes, activity,
+   *   tags, collections }
+   */
+  update({ title, duration, notes, activity, tags, collections } = {}) {
+    if (title !== undefined) this.#title = title;
+    if (duration !== undefined) this.#duration = duration;
+    if (notes !== undefined) this.#notes = notes;
+    if (activity !== undefined) this.#activity = activity;
+    this.setLabels({ tags, collections });
+    this.#pace = this.#calcPace();
+  }
+
+  /**
+   * Attaches spots to the route (ids of spots that no longer exist are
+   * ignored wherever waypoints are shown)
+   * @param {Array<string>} spotIds
+   */
+  setWaypoints(spotIds) {
+    this.#waypoints = [...new Set(spotIds)];
+  }
+
   // Getters
   get title() {
     return this.#title;
@@ -65,19 +120,41 @@ export class Route extends Log {
     return this.#notes;
   }
 
+  get activity() {
+    return this.#activity;
+  }
+
+  get waypoints() {
+    return [...this.#waypoints];
+  }
+
+  /**
+   * Indexes of user-placed points, always including both ends
+   */
+  get vertices() {
+    return this.#vertices ?? this.coords.map((_, i) => i);
+  }
+
+  /**
+   * Average speed in km/h (0 without a duration)
+   */
+  get speed() {
+    if (this.#pace === 0) return 0;
+    return 60 / this.#pace;
+  }
+
   /**
-   * Formatted distance string
+   * Naismith's rule estimate in minutes (uses ascent when known)
    */
-  get formattedDistance() {
-    return `${this.#distance.toFixed(2)} km`;
+  get estimatedDuration() {
+    return naismithMinutes(this.#distance, this.elevation?.ascent);
   }
 
   /**
-   * Formatted pace string
+   * Ascent/descent and altitude range in meters (null without elevation data)
    */
-  get formattedPace() {
-    if (this.#pace === 0) return '--';
-    return `${this.#pace.toFixed(1)} min/km`;
+  get elevation() {
+    return elevationStats(this.coords);
   }
 
   /**
@@ -91,6 +168,9 @@ export class Route extends Log {
       distance: this.#distance,
       duration: this.#duration,
       notes: this.#notes,
+      activity: this.#activity,
+      vertices: this.#vertices,
+      waypoints: [...this.#waypoints],
     };
   }
 
@@ -104,8 +184,11 @@ export class Route extends Log {
       data.title,
       data.duration,
       data.notes,
+      data.activity,
     );
     route._restoreFromJSON(data);
+    route.setVertices(data.vertices);
+    route.setWaypoints(data.waypoints ?? []);
     return route;
   }
 }
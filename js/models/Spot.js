@@ -4,22 +4,48 @@
  */
 
 import { Log } from './Log.js';
+import { DEFAULT_CATEGORY } from './categories.js';
 
 export class Spot extends Log {
   type = 'spot';
 
   #title;
   #description;
+  #category; // Key of SPOT_CATEGORIES
+  #photos; // Resized images as data URLs
 
   /**
    * @param {[number, number]} coords - Single [lat, lng] point
    * @param {string} title - Spot title
    * @param {string} description - Optional description
+   * @param {string} category - Category key (water, parking, ...)
+   * @param {Array<string>} photos - Image data URLs
    */
-  constructor(coords, title = 'Untitled Spot', description = '') {
+  constructor(
+    coords,
+    title = 'Untitled Spot',
+    description = '',
+    category = DEFAULT_CATEGORY,
+    photos = [],
+  ) {
     super(coords);
     this.#title = title;
     this.#description = description;
+    this.#category = category;
+    this.#photos = [...photos];
+  }
+
+  /**
+   * Updates editable details
+   * @param {Object} details - Any of { title, description, category, photos,
+   *   tags, collections }
+   */
+  update({ title, description, category, photos, tags, collections } = {}) {
+    if (title !== undefined) this.#title = title;
+    if (description !== undefined) this.#description = description;
+    if (category !== undefined) this.#category = category;
+    if (photos !== undefined) this.#photos = [...photos];
+    this.setLabels({ tags, collections });
   }
 
   // Getters
@@ -31,6 +57,14 @@ export class Spot extends Log {
     return this.#description;
   }
 
+  get category() {
+    return this.#category;
+  }
+
+  get photos() {
+    return [...this.#photos];
+  }
+
   /**
    * Serializes to JSON
    */
@@ -40,6 +74,8 @@ export class Spot extends Log {
       type: this.type,
       title: this.#title,
       description: this.#description,
+      category: this.#category,
+      photos: [...this.#photos],
     };
   }
 
@@ -47,7 +83,13 @@ export class Spot extends Log {
    * Creates Spot instance from JSON
    */
   static fromJSON(data) {
-    const spot = new Spot(data.coords, data.title, data.description);
+    const spot = new Spot(
+      data.coords,
+      data.title,
+      data.description,
+      data.category,
+      data.photos,
+    );
     spot._restoreFromJSON(data);
     return spot;
   }
@@ -0,0 +1,76 @@
+/**
+ * Activity Types
+ * How each kind of route is shown and which headline stat it reports
+ */
+
+/**
+ * @type {Object<string, {label: string, icon: string, color: string, stat: 'pace' | 'speed' | 'naismith'}>}
+ */
+export const ACTIVITIES = {
+  run: {
+    label: 'Run',
+    icon: 'ph-person-simple-run',
+    color: '#ea580c',
+    stat: 'pace',
+  },
+  cycle: {
+    label: 'Cycle',
+    icon: 'ph-person-simple-bike',
+    color: '#2563eb',
+    stat: 'speed',
+  },
+  hike: {
+    label: 'Hike',
+    icon: 'ph-boot',
+    color: '#15803d',
+    stat: 'naismith',
+  },
+  walk: {
+    label: 'Walk',
+    icon: 'ph-person-simple-walk',
+    color: '#7c3aed',
+    stat: 'pace',
+  },
+};
+
+export const DEFAULT_ACTIVITY = 'run';
+
+// Names other apps use for the same activities (e.g. GPX <type>)
+const ALIASES = {
+  running: 'run',
+  cycling: 'cycle',
+  biking: 'cycle',
+  bike: 'cycle',
+  hiking: 'hike',
+  walking: 'walk',
+};
+
+/**
+ * Whether a value is a known activity key
+ */
+export function isActivity(value) {
+  return Object.hasOwn(ACTIVITIES, value);
+}
+
+/**
+ * Maps an activity name from a file to a known key
+ * @param {string} name - e.g. "run", "Cycling"
+ * @returns {string} Activity key (the default for unknown names)
+ */
+export function parseActivity(name) {
+  const key = String(name ?? '')
+    .trim()
+    .toLowerCase();
+  if (isActivity(key)) return key;
+  return ALIASES[key] ?? DEFAULT_ACTIVITY;
+}
+
+/**
+ * Naismith's rule: 5 km/h on the flat plus an hour per 600 m of ascent
+ * @param {number} distance - km
+ * @param {number} ascent - m
+ * @returns {number} Estimated minutes
+ */
+export function naismithMinutes(distance, ascent = 0) {
+  return (distance / 5) * 60 + (ascent / 600) * 60;
+}
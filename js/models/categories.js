@@ -0,0 +1,68 @@
+/**
+ * Spot Categories
+ * How each kind of spot is shown on the map and in the list
+ */
+
+/**
+ * @type {Object<string, {label: string, icon: string, color: string}>}
+ */
+export const SPOT_CATEGORIES = {
+  pin: {
+    label: 'Spot',
+    icon: 'ph-map-pin',
+    color: '#0f172a',
+  },
+  water: {
+    label: 'Water',
+    icon: 'ph-drop',
+    color: '#0284c7',
+  },
+  parking: {
+    label: 'Parking',
+    icon: 'ph-car',
+    color: '#475569',
+  },
+  toilet: {
+    label: 'Toilets',
+    icon: 'ph-toilet',
+    color: '#9333ea',
+  },
+  viewpoint: {
+    label: 'Viewpoint',
+    icon: 'ph-binoculars',
+    color: '#ca8a04',
+  },
+};
+
+export const DEFAULT_CATEGORY = 'pin';
+
+// Names other apps use for the same categories (e.g. GPX <sym>)
+const ALIASES = {
+  'drinking water': 'water',
+  fountain: 'water',
+  'parking area': 'parking',
+  restroom: 'toilet',
+  toilets: 'toilet',
+  'scenic area': 'viewpoint',
+  'scenic view': 'viewpoint',
+};
+
+/**
+ * Whether a value is a known category key
+ */
+export function isCategory(value) {
+  return Object.hasOwn(SPOT_CATEGORIES, value);
+}
+
+/**
+ * Maps a category or symbol name from a file to a known key
+ * @param {string} name - e.g. "water", "Drinking Water"
+ * @returns {string} Category key (the default for unknown names)
+ */
+export function parseCategory(name) {
+  const key = String(name ?? '')
+    .trim()
+    .toLowerCase();
+  if (isCategory(key)) return key;
+  return ALIASES[key] ?? DEFAULT_CATEGORY;
+}
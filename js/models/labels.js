@@ -0,0 +1,76 @@
+/**
+ * Tags and Collections
+ * Free-form labels for grouping logs. Tags are short lowercase keywords
+ * ("long-run"); collections are named groups ("Lisbon trip") that keep
+ * the spelling they were first given.
+ */
+
+const MAX_LABEL_LENGTH = 40;
+
+/**
+ * Splits a comma-separated string or list into cleaned-up names
+ * @param {string | Array} value
+ * @returns {Array<string>}
+ */
+function splitLabels(value) {
+  const list = Array.isArray(value) ? value : String(value ?? '').split(',');
+
+  return list
+    .filter((name) => typeof name === 'string')
+    .map((name) => name.replace(/\s+/g, ' ').trim().slice(0, MAX_LABEL_LENGTH))
+    .filter(Boolean);
+}
+
+/**
+ * Drops names that repeat an earlier one, ignoring case
+ */
+function uniqueLabels(names) {
+  const seen = new Set();
+  return names.filter((name) => {
+    const key = name.toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+/**
+ * Normalizes tags, e.g. "#Hills, long run, hills" -> ["hills", "long run"]
+ * @param {string | Array} value - Comma-separated text or a list
+ * @returns {Array<string>}
+ */
+export function parseTags(value) {
+  return uniqueLabels(
+    splitLabels(value)
+      .map((tag) => tag.replace(/^#+/, '').trim().toLowerCase())
+      .filter(Boolean),
+  );
+}
+
+/**
+ * Normalizes collection names, reusing the spelling of known collections
+ * so "lisbon trip" joins an existing "Lisbon trip"
+ * @param {string | Array} value - Comma-separated text or a list
+ * @param {Array<string>} known - Names already in use
+ * @returns {Array<string>}
+ */
+export function parseCollections(value, known = []) {
+  const spelling = new Map(known.map((name) => [name.toLowerCase(), name]));
+  return uniqueLabels(
+    splitLabels(value).map((name) => spelling.get(name.toLowerCase()) ?? name),
+  );
+}
+
+/**
+ * Counts logs per tag or per collection
+ * @param {Array<Route|Spot>} logs
+ * @param {'tags' | 'collections'} key
+ * @returns {Array<[string, number]>} Names with counts, sorted by name
+ */
+export function countLabels(logs, key) {
+  const counts = new Map();
+  logs.forEach((log) =>
+    log[key].forEach((name) => counts.set(name, (counts.get(name) ?? 0) + 1)),
+  );
+  return [...counts].sort(([a], [b]) => a.localeCompare(b));
+}
@@ -0,0 +1,180 @@
+/**
+ * Log Filter
+ * Which logs the list and map show, in what order, and how that state is
+ * written to the page URL so a filtered view can be bookmarked.
+ */
+
+import { parseTags, parseCollections } from './labels.js';
+
+/**
+ * Sort orders for the log list (keys match the sort select's options).
+ * Logs without the value, e.g. spots when sorting by distance, go last.
+ * @type {Object<string, {value?: Function, descending?: boolean}>}
+ */
+export const SORT_OPTIONS = {
+  added: {},
+  newest: { value: (log) => log.date.getTime(), descending: true },
+  oldest: { value: (log) => log.date.getTime() },
+  longest: { value: (log) => log.distance, descending: true },
+  shortest: { value: (log) => log.distance },
+  duration: { value: (log) => log.duration || undefined, descending: true },
+  fastest: { value: (log) => log.pace || undefined },
+  slowest: { value: (log) => log.pace || undefined, descending: true },
+};
+
+export const LOG_TYPES = ['all', 'route', 'spot'];
+
+/**
+ * The unfiltered view: every log in the order it was added
+ */
+export const DEFAULT_FILTER = Object.freeze({
+  query: '',
+  type: 'all',
+  from: '', // yyyy-mm-dd, inclusive
+  to: '', // yyyy-mm-dd, inclusive
+  minDistance: null, // km
+  maxDistance: null, // km
+  tag: '',
+  collection: '',
+  sort: 'added',
+});
+
+// URL parameter for each filter field
+const PARAMS = {
+  query: 'q',
+  type: 'type',
+  from: 'from',
+  to: 'to',
+  minDistance: 'min',
+  maxDistance: 'max',
+  tag: 'tag',
+  collection: 'collection',
+  sort: 'sort',
+};
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Whether a filter hides or reorders anything
+ */
+export function isFilterActive(filter) {
+  return Object.keys(DEFAULT_FILTER).some(
+    (key) => filter[key] !== DEFAULT_FILTER[key],
+  );
+}
+
+/**
+ * Local calendar day of a date as yyyy-mm-dd (matches <input type="date">)
+ */
+export function dayOf(date) {
+  const pad = (n) => String(n).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * Whether a log passes a filter. Search matches title, notes (or a
+ * spot's description) and tags, ignoring case. Spots have no distance, so
+ * a distance range shows routes only.
+ * @param {Route|Spot} log
+ * @param {Object} filter - Shaped like DEFAULT_FILTER
+ */
+export function matchesFilter(log, filter) {
+  if (filter.type !== 'all' && log.type !== filter.type) return false;
+
+  const query = filter.query.trim().toLowerCase();
+  if (query) {
+    const text = [log.title, log.notes ?? log.description, ...log.tags];
+    if (!text.join('\n').toLowerCase().includes(query)) return false;
+  }
+
+  if (filter.tag && !log.tags.includes(filter.tag)) return false;
+  if (filter.collection && !log.collections.includes(filter.collection)) {
+    return false;
+  }
+
+  const day = dayOf(log.date);
+  if (filter.from && day < filter.from) return false;
+  if (filter.to && day > filter.to) return false;
+
+  if (filter.minDistance !== null || filter.maxDistance !== null) {
+    if (log.type !== 'route') return false;
+    if (filter.minDistance !== null && log.distance < filter.minDistance) {
+      return false;
+    }
+    if (filter.maxDistance !== null && log.distance > filter.maxDistance) {
+      return false;
+    }
+  }
+
+  return true;
+}
+
+/**
+ * Logs that pass a filter, in its sort order (stable for ties)
+ * @param {Array<Route|Spot>} logs - In the order they were added
+ * @returns {Array<Route|Spot>}
+ */
+export function applyFilter(logs, filter) {
+  const matching = logs.filter((log) => matchesFilter(log, filter));
+  const { value, descending } = SORT_OPTIONS[filter.sort];
+  if (!value) return matching;
+
+  return matching
+    .map((log) => ({ log, value: value(log) }))
+    .sort((a, b) => {
+      if (a.value === undefined || b.value === undefined) {
+        return (a.value === undefined) - (b.value === undefined);
+      }
+      return descending ? b.value - a.value : a.value - b.value;
+    })
+    .map(({ log }) => log);
+}
+
+/**
+ * Reads a filter from URL search parameters, ignoring invalid values
+ * @param {string} search - e.g. location.search
+ * @returns {Object} Shaped like DEFAULT_FILTER
+ */
+export function filterFromSearch(search) {
+  const params = new URLSearchParams(search);
+  const filter = { ...DEFAULT_FILTER };
+  const read = (key) => params.get(PARAMS[key]);
+
+  filter.query = read('query') ?? '';
+  filter.tag = parseTags(read('tag'))[0] ?? '';
+  filter.collection = parseCollections(read('collection'))[0] ?? '';
+  if (LOG_TYPES.includes(read('type'))) filter.type = read('type');
+  if (Object.hasOwn(SORT_OPTIONS, read('sort'))) filter.sort = read('sort');
+
+  ['from', 'to'].forEach((key) => {
+    if (DATE_PATTERN.test(read(key))) filter[key] = read(key);
+  });
+
+  ['minDistance', 'maxDistance'].forEach((key) => {
+    const value = parseFloat(read(key));
+    if (Number.isFinite(value) && value >= 0) filter[key] = value;
+  });
+
+  return filter;
+}
+
+/**
+ * Writes a filter into URL search parameters, keeping unrelated ones.
+ * Default values are left out so the unfiltered view has a clean URL.
+ * @param {string} search - Current search string
+ * @returns {string} New search string ('' or '?...')
+ */
+export function filterToSearch(filter, search = '') {
+  const params = new URLSearchParams(search);
+
+  Object.entries(PARAMS).forEach(([key, param]) => {
+    if (filter[key] === DEFAULT_FILTER[key]) {
+      params.delete(param);
+    } else {
+      params.set(param, String(filter[key]));
+    }
+  });
+
+  const query = params.toString();
+  return query ? `?${query}` : '';
+}
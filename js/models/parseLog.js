@@ -0,0 +1,143 @@
+/**
+ * Log Parsing
+ * Validates persisted/imported log data and builds Route or Spot instances
+ */
+
+import { Route } from './Route.js';
+import { Spot } from './Spot.js';
+import { generateId, isSafeId } from './Log.js';
+import { calculateTotalDistance } from '../utils/geo.js';
+import { withElevation } from '../utils/elevation.js';
+import { DEFAULT_ACTIVITY, isActivity } from './activities.js';
+import { DEFAULT_CATEGORY, isCategory } from './categories.js';
+import { isPhoto } from '../utils/photo.js';
+import { parseTags, parseCollections } from './labels.js';
+
+/**
+ * Checks for a finite [lat, lng] pair
+ */
+export function isPoint(value) {
+  return (
+    Array.isArray(value) &&
+    value.length >= 2 &&
+    Number.isFinite(value[0]) &&
+    Number.isFinite(value[1])
+  );
+}
+
+/**
+ * Checks vertex indexes run in ascending order from the first to the last point
+ */
+export function isVertexList(value, length) {
+  return (
+    Array.isArray(value) &&
+    value.length >= 2 &&
+    value[0] === 0 &&
+    value.at(-1) === length - 1 &&
+    value.every(
+      (index, i) =>
+        Number.isInteger(index) && (i === 0 || index > value[i - 1]),
+    )
+  );
+}
+
+/**
+ * Validates a single serialized log and creates its instance
+ * @param {Object} data - Object in the shape produced by toJSON
+ * @returns {Route | Spot | null} Instance, or null if the entry is corrupt
+ */
+export function parseLog(data) {
+  if (!data || typeof data !== 'object') return null;
+  if (typeof data.id !== 'string' && typeof data.id !== 'number') return null;
+  if (Number.isNaN(new Date(data.date).getTime())) return null;
+
+  const text = (value) => (typeof value === 'string' ? value : '');
+  // Ids end up in markup and selectors: anything but a plain token is replaced
+  const id = isSafeId(String(data.id)) ? String(data.id) : generateId();
+  // Logs saved before edits were timestamped count as unedited
+  const updatedAt = Number.isNaN(new Date(data.updatedAt).getTime())
+    ? data.date
+    : data.updatedAt;
+  const labels = {
+    tags: Array.isArray(data.tags) ? parseTags(data.tags) : [],
+    collections: Array.isArray(data.collections)
+      ? parseCollections(data.collections)
+      : [],
+  };
+
+  if (data.type === 'route') {
+    if (!Array.isArray(data.coords) || data.coords.length < 2) return null;
+    if (!data.coords.every(isPoint)) return null;
+
+    return Route.fromJSON({
+      ...data,
+      ...labels,
+      id,
+      updatedAt,
+      coords: data.coords.map(([lat, lng, ele]) =>
+        withElevation([lat, lng], ele),
+      ),
+      title: text(data.title) || 'Untitled Route',
+      distance: Number.isFinite(data.distance)
+        ? data.distance
+        : calculateTotalDistance(data.coords),
+      duration:
+        Number.isFinite(data.duration) && data.duration > 0 ? data.duration : 0,
+      notes: text(data.notes),
+      activity: isActivity(data.activity) ? data.activity : DEFAULT_ACTIVITY,
+      vertices: isVertexList(data.vertices, data.coords.length)
+        ? data.vertices
+        : null,
+      waypoints: Array.isArray(data.waypoints)
+        ? data.waypoints.filter((id) => typeof id === 'string')
+        : [],
+    });
+  }
+
+  if (data.type === 'spot') {
+    if (!isPoint(data.coords)) return null;
+
+    return Spot.fromJSON({
+      ...data,
+      ...labels,
+      id,
+      updatedAt,
+      title: text(data.title) || 'Untitled Spot',
+      description: text(data.description),
+      category: isCategory(data.category) ? data.category : DEFAULT_CATEGORY,
+      photos: Array.isArray(data.photos) ? data.photos.filter(isPhoto) : [],
+    });
+  }
+
+  return null;
+}
+
+/**
+ * Parses a list of serialized logs, skipping corrupt entries
+ * Unsafe ids get a new id in parseLog. Duplicate ids (possible in legacy
+ * data) are re-keyed too: the first log keeps its id so existing references
+ * to it stay valid, later ones get a new id.
+ * @param {Array} list
+ * @returns {{logs: Array<Route | Spot>, skipped: number, rekeyed: Array<{from: string, to: string}>}}
+ */
+export function parseLogs(list) {
+  if (!Array.isArray(list)) return { logs: [], skipped: 0, rekeyed: [] };
+
+  const logs = [];
+  const seen = new Set();
+  const rekeyed = [];
+
+  list.forEach((data) => {
+    const log = parseLog(data);
+    if (!log) return;
+
+    if (seen.has(log.id)) log._setId(generateId());
+    if (log.id !== String(data.id)) {
+      rekeyed.push({ from: String(data.id), to: log.id });
+    }
+    seen.add(log.id);
+    logs.push(log);
+  });
+
+  return { logs, skipped: list.length - logs.length, rekeyed };
+}
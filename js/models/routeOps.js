@@ -0,0 +1,98 @@
+/**
+ * Route Operations
+ * Split and merge routes into new Route instances
+ */
+
+import { Route } from './Route.js';
+import { calculateTotalDistance } from '../utils/geo.js';
+import { joinPaths, splitPath } from '../utils/path.js';
+
+/**
+ * Splits a route at a vertex into two routes sharing that point.
+ * Duration is shared in proportion to distance; title, notes, activity,
+ * date, tags and collections carry over.
+ * @param {Route} route
+ * @param {number} index - Vertex index strictly between the ends
+ * @param {Array<Array<number>>} coords - Path to split (defaults to the route's)
+ * @param {Array<number>} vertices - User-placed point indexes of that path
+ * @returns {Array<Route>} The two halves
+ */
+export function splitRoute(
+  route,
+  index,
+  coords = route.coords,
+  vertices = route.vertices,
+) {
+  const total = calculateTotalDistance(coords);
+  const parts = splitPath(coords, index);
+  const distances = parts.map(calculateTotalDistance);
+
+  const halfVertices = [
+    [...vertices.filter((i) => i < index), index],
+    [0, ...vertices.filter((i) => i > index).map((i) => i - index)],
+  ];
+
+  // Round the first half and give the remainder to the second, so the
+  // halves always add up to the original duration
+  const first =
+    total > 0 ? Math.round((route.duration * distances[0]) / total) : 0;
+  const durations = [first, route.duration - first];
+
+  return parts.map((part, i) => {
+    const half = new Route(
+      part,
+      distances[i],
+      `${route.title} (${i + 1})`,
+      durations[i],
+      route.notes,
+      route.activity,
+    );
+    half._setDate(route.date);
+    half.setLabels({ tags: route.tags, collections: route.collections });
+    half.setVertices(halfVertices[i]);
+    return half;
+  });
+}
+
+/**
+ * Joins routes end to end in the given order. Durations add up, titles,
+ * notes, waypoints, tags and collections are combined; the first route's
+ * activity and the earliest date are kept.
+ * @param {Array<Route>} routes - At least two routes
+ * @returns {Route}
+ */
+export function mergeRoutes(routes) {
+  let coords = [];
+  const vertices = [];
+
+  routes.forEach((route) => {
+    const joined = joinPaths([coords, route.coords]);
+    // Points before this route's first one (which may have been shared)
+    const offset = joined.length - route.coords.length;
+    route.vertices
+      .map((i) => i + offset)
+      .filter((i) => !vertices.length || i > vertices.at(-1))
+      .forEach((i) => vertices.push(i));
+    coords = joined;
+  });
+
+  const merged = new Route(
+    coords,
+    calculateTotalDistance(coords),
+    routes.map((route) => route.title).join(' + '),
+    routes.reduce((sum, route) => sum + route.duration, 0),
+    routes
+      .map((route) => route.notes)
+      .filter(Boolean)
+      .join('\n\n'),
+    routes[0].activity,
+  );
+  merged._setDate(new Date(Math.min(...routes.map((route) => route.date))));
+  merged.setVertices(vertices);
+  merged.setWaypoints([...new Set(routes.flatMap((route) => route.waypoints))]);
+  merged.setLabels({
+    tags: [...new Set(routes.flatMap((route) => route.tags))],
+    collections: [...new Set(routes.flatMap((route) => route.collections))],
+  });
+  return merged;
+}
@@ -0,0 +1,97 @@
+/**
+ * App Settings
+ * Defaults and validation for the settings persisted alongside logs (and
+ * included in backups)
+ */
+
+import { ACTIVITIES, DEFAULT_ACTIVITY, isActivity } from './activities.js';
+import { parseCollections } from './labels.js';
+import { UNIT_SYSTEMS, DEFAULT_UNITS } from '../utils/format.js';
+
+export const ROUTING_APIS = ['osrm', 'graphhopper'];
+
+export const DEFAULT_SETTINGS = {
+  units: DEFAULT_UNITS, // 'metric' | 'imperial' - display only, storage is km
+  followRoads: false, // Route new segments along roads while drawing
+  autoClose: true, // Clicking near the start closes the loop
+  routing: { api: 'osrm', url: 'http://localhost:5000', profile: 'foot' },
+  elevation: { url: '' }, // Open-Elevation compatible API, '' = GPX elevation only
+  drawActivity: DEFAULT_ACTIVITY, // Activity planned while drawing
+  targetPaces: { run: 6, cycle: 3, hike: 12, walk: 12 }, // min/km
+  distanceMarkers: true, // Label every km/mile of the selected route
+  hiddenCollections: [], // Collections toggled off the map
+};
+
+function isObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Checks for an absolute http(s) URL
+ */
+export function isServiceURL(value) {
+  if (typeof value !== 'string') return false;
+  try {
+    return ['http:', 'https:'].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+}
+
+// Per setting: the cleaned-up value, or undefined to use the default
+const PARSERS = {
+  units: (value) => (Object.hasOwn(UNIT_SYSTEMS, value) ? value : undefined),
+  followRoads: (value) => (typeof value === 'boolean' ? value : undefined),
+  autoClose: (value) => (typeof value === 'boolean' ? value : undefined),
+  routing: (value) => {
+    if (!isObject(value) || !ROUTING_APIS.includes(value.api)) return;
+    if (!isServiceURL(value.url)) return;
+    if (typeof value.profile !== 'string' || !value.profile.trim()) return;
+
+    const { api, url, profile, apiKey } = value;
+    return typeof apiKey === 'string'
+      ? { api, url, profile, apiKey }
+      : { api, url, profile };
+  },
+  elevation: (value) => {
+    if (!isObject(value)) return;
+    if (value.url !== '' && !isServiceURL(value.url)) return;
+    return { url: value.url };
+  },
+  drawActivity: (value) => (isActivity(value) ? value : undefined),
+  targetPaces: (value) => {
+    if (!isObject(value)) return;
+    return Object.fromEntries(
+      Object.keys(ACTIVITIES).map((activity) => {
+        const pace = value[activity];
+        return [
+          activity,
+          Number.isFinite(pace) && pace > 0
+            ? pace
+            : DEFAULT_SETTINGS.targetPaces[activity],
+        ];
+      }),
+    );
+  },
+  distanceMarkers: (value) => (typeof value === 'boolean' ? value : undefined),
+  hiddenCollections: (value) =>
+    Array.isArray(value) ? parseCollections(value) : undefined,
+};
+
+/**
+ * Validates stored or restored settings. Unknown keys are dropped and
+ * missing or invalid values fall back to the defaults.
+ * @param {*} data - Parsed JSON
+ * @returns {Object} Shaped like DEFAULT_SETTINGS
+ */
+export function parseSettings(data) {
+  const settings = { ...DEFAULT_SETTINGS };
+  if (!isObject(data)) return settings;
+
+  Object.entries(PARSERS).forEach(([key, parse]) => {
+    const value = parse(data[key]);
+    if (value !== undefined) settings[key] = value;
+  });
+
+  return settings;
+}
@@ -0,0 +1,138 @@
+/**
+ * Training Statistics
+ * Totals and trends computed from saved routes (spots are ignored).
+ * Weeks start on Monday; periods and days are in local time.
+ */
+
+import { ACTIVITIES } from './activities.js';
+import { dayOf } from './logFilter.js';
+
+/**
+ * Midnight on the Monday of a date's week
+ */
+export function startOfWeek(date) {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+  return start;
+}
+
+/**
+ * Midnight on the first of a date's month
+ */
+export function startOfMonth(date) {
+  return new Date(date.getFullYear(), date.getMonth(), 1);
+}
+
+/**
+ * Distance, duration and route count for the last few weeks or months
+ * @param {Array<Route>} routes
+ * @param {number} count - Number of periods, ending with the current one
+ * @param {'week' | 'month'} unit
+ * @param {Date} now
+ * @returns {Array<{start: Date, distance: number, duration: number, count: number}>}
+ *   Oldest first
+ */
+export function periodTotals(routes, count, unit, now = new Date()) {
+  const startOf = unit === 'week' ? startOfWeek : startOfMonth;
+  const current = startOf(now);
+
+  const periods = Array.from({ length: count }, (_, i) => {
+    const back = count - 1 - i;
+    const start =
+      unit === 'week'
+        ? new Date(
+            current.getFullYear(),
+            current.getMonth(),
+            current.getDate() - back * 7,
+          )
+        : new Date(current.getFullYear(), current.getMonth() - back, 1);
+    return { start, distance: 0, duration: 0, count: 0 };
+  });
+
+  const byStart = new Map(periods.map((p) => [p.start.getTime(), p]));
+  routes.forEach((route) => {
+    const period = byStart.get(startOf(route.date).getTime());
+    if (!period) return;
+    period.distance += route.distance;
+    period.duration += route.duration;
+    period.count += 1;
+  });
+
+  return periods;
+}
+
+/**
+ * Distance per calendar day
+ * @param {Array<Route>} routes
+ * @returns {Map<string, number>} yyyy-mm-dd -> km
+ */
+export function dailyDistance(routes) {
+  const days = new Map();
+  routes.forEach((route) => {
+    const day = dayOf(route.date);
+    days.set(day, (days.get(day) ?? 0) + route.distance);
+  });
+  return days;
+}
+
+/**
+ * Days covered by a calendar heatmap: whole weeks, ending with the
+ * current one
+ * @param {number} weeks
+ * @param {Date} now
+ * @returns {Array<Date>} Oldest first, Monday to Sunday
+ */
+export function calendarDays(weeks, now = new Date()) {
+  const first = startOfWeek(now);
+  first.setDate(first.getDate() - (weeks - 1) * 7);
+
+  return Array.from(
+    { length: weeks * 7 },
+    (_, i) =>
+      new Date(first.getFullYear(), first.getMonth(), first.getDate() + i),
+  );
+}
+
+/**
+ * Everything the stats panel shows
+ * @param {Array<Route|Spot>} logs - Logs to analyse (e.g. the filtered list)
+ * @param {Date} now
+ */
+export function trainingStats(logs, now = new Date()) {
+  const routes = logs
+    .filter((log) => log.type === 'route')
+    .sort((a, b) => a.date - b.date);
+
+  const activities = Object.keys(ACTIVITIES)
+    .map((activity) => {
+      const matching = routes.filter((route) => route.activity === activity);
+      return {
+        activity,
+        count: matching.length,
+        distance: matching.reduce((sum, route) => sum + route.distance, 0),
+      };
+    })
+    .filter(({ count }) => count > 0);
+
+  // Pace only means something for activities that report it (runs, walks)
+  const paceTrend = routes
+    .filter(
+      (route) => route.pace > 0 && ACTIVITIES[route.activity].stat === 'pace',
+    )
+    .map((route) => ({ date: route.date, pace: route.pace }));
+
+  return {
+    count: routes.length,
+    distance: routes.reduce((sum, route) => sum + route.distance, 0),
+    duration: routes.reduce((sum, route) => sum + route.duration, 0),
+    longest: routes.reduce(
+      (best, route) => (!best || route.distance > best.distance ? route : best),
+      null,
+    ),
+    weekly: periodTotals(routes, 12, 'week', now),
+    monthly: periodTotals(routes, 12, 'month', now),
+    activities,
+    paceTrend,
+    days: dailyDistance(routes),
+  };
+}
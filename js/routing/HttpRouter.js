@@ -0,0 +1,76 @@
+/**
+ * HttpRouter Class
+ * Routes through an OSRM or GraphHopper compatible HTTP API, such as a
+ * self-hosted or local instance.
+ */
+
+import { Router } from './Router.js';
+
+const REQUEST_TIMEOUT = 10000; // ms
+
+export class HttpRouter extends Router {
+  #api;
+  #url;
+  #profile;
+  #apiKey;
+
+  /**
+   * @param {Object} options
+   * @param {'osrm' | 'graphhopper'} options.api - Response/request format
+   * @param {string} options.url - Base URL, e.g. http://localhost:5000
+   * @param {string} options.profile - Routing profile, e.g. foot or bike
+   * @param {string} options.apiKey - Optional GraphHopper key
+   */
+  constructor({ api = 'osrm', url, profile = 'foot', apiKey = '' } = {}) {
+    super();
+    this.#api = api;
+    this.#url = url.replace(/\/+$/, '');
+    this.#profile = profile;
+    this.#apiKey = apiKey;
+  }
+
+  async route(from, to) {
+    const response = await fetch(this.#requestURL(from, to), {
+      signal: AbortSignal.timeout?.(REQUEST_TIMEOUT),
+    });
+    if (!response.ok) {
+      throw new Error(`Router responded with ${response.status}`);
+    }
+
+    const data = await response.json();
+    const path =
+      this.#api === 'graphhopper' ? data.paths?.[0] : data.routes?.[0];
+    const lineCoords =
+      this.#api === 'graphhopper'
+        ? path?.points?.coordinates
+        : path?.geometry?.coordinates;
+
+    if (!Array.isArray(lineCoords) || lineCoords.length < 2) {
+      throw new Error('No route found');
+    }
+
+    return {
+      coords: lineCoords.map(([lng, lat]) => [lat, lng]),
+      distance: path.distance / 1000,
+    };
+  }
+
+  /**
+   * Builds the request URL (OSRM takes lng,lat pairs, GraphHopper lat,lng)
+   */
+  #requestURL([fromLat, fromLng], [toLat, toLng]) {
+    if (this.#api === 'graphhopper') {
+      const params = new URLSearchParams({
+        profile: this.#profile,
+        points_encoded: 'false',
+      });
+      params.append('point', `${fromLat},${fromLng}`);
+      params.append('point', `${toLat},${toLng}`);
+      if (this.#apiKey) params.set('key', this.#apiKey);
+      return `${this.#url}/route?${params}`;
+    }
+
+    const points = `${fromLng},${fromLat};${toLng},${toLat}`;
+    return `${this.#url}/route/v1/${this.#profile}/${points}?overview=full&geometries=geojson`;
+  }
+}
@@ -0,0 +1,17 @@
+/**
+ * Router Base Class
+ * Interface for services that find a path along roads or trails.
+ */
+
+export class Router {
+  /**
+   * Finds a path between two points
+   * @param {[number, number]} from - Start [lat, lng]
+   * @param {[number, number]} to - End [lat, lng]
+   * @returns {Promise<{coords: Array<[number, number]>, distance: number}>}
+   *   Path points from start to end, and its length in km
+   */
+  async route(from, to) {
+    throw new Error('route() not implemented');
+  }
+}
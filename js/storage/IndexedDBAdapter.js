@@ -0,0 +1,214 @@
+/**
+ * IndexedDBAdapter Class
+ * Stores one record per log so changes are written individually. Each
+ * record carries a sequence number (kept out of what load returns) so logs
+ * come back in the order they were added.
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { LocalStorageAdapter, LOGS_KEY } from './LocalStorageAdapter.js';
+import { SCHEMA_VERSION, migrate } from './migrations.js';
+import { parseLogs } from '../models/parseLog.js';
+
+const DB_NAME = 'scoutlog';
+const DB_VERSION = 1;
+
+/**
+ * Resolves with an IDBRequest's result
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Resolves when a transaction commits, rejects if it fails or aborts
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () =>
+      reject(tx.error || new DOMException('Transaction aborted', 'AbortError'));
+  });
+}
+
+export class IndexedDBAdapter extends StorageAdapter {
+  #db;
+
+  /**
+   * Opens (and if needed creates) the database
+   * @returns {Promise<IndexedDBAdapter>}
+   */
+  static async open() {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      db.createObjectStore('logs', { keyPath: 'id' });
+      db.createObjectStore('meta');
+      db.createObjectStore('quarantine', { autoIncrement: true });
+    };
+
+    return new IndexedDBAdapter(await promisify(request));
+  }
+
+  /**
+   * @param {IDBDatabase} db - Open database (use IndexedDBAdapter.open)
+   */
+  constructor(db) {
+    super();
+    this.#db = db;
+  }
+
+  /**
+   * Loads all records in the order they were added, migrating localStorage
+   * data on first run
+   */
+  async load() {
+    await this.#importFromLocalStorage();
+
+    const tx = this.#db.transaction(['logs', 'meta'], 'readonly');
+    const [stored, version] = await Promise.all([
+      promisify(tx.objectStore('logs').getAll()),
+      promisify(tx.objectStore('meta').get('schemaVersion')),
+    ]);
+
+    // Records saved before the order was kept go first, oldest first
+    const unordered = stored.some((record) => record.seq === undefined);
+    const records = [...stored]
+      .sort(
+        (a, b) =>
+          (a.seq ?? -Infinity) - (b.seq ?? -Infinity) ||
+          new Date(a.date) - new Date(b.date),
+      )
+      .map(({ seq, ...record }) => record);
+
+    const { payload, fromVersion } = migrate(
+      { version: version ?? SCHEMA_VERSION, logs: records },
+      {
+        beforeDestructive: () =>
+          this.quarantine(JSON.stringify(records), 'migration'),
+      },
+    );
+
+    if (fromVersion !== payload.version || unordered) {
+      await this.replaceAll(payload.logs);
+    }
+
+    return payload.logs;
+  }
+
+  async put(records, { after } = {}) {
+    const tx = this.#db.transaction(['logs', 'meta'], 'readwrite');
+    const store = tx.objectStore('logs');
+    const meta = tx.objectStore('meta');
+
+    if (after !== undefined) {
+      store.getAll().onsuccess = ({ target }) =>
+        this.#insertAt(tx, target.result, records, after);
+      await transactionDone(tx);
+      return;
+    }
+
+    // Chained callbacks keep the transaction active between requests
+    meta.get('nextSeq').onsuccess = ({ target }) => {
+      let next = target.result ?? 0;
+      records.forEach((record) => {
+        store.get(record.id).onsuccess = (e) => {
+          store.put({ ...record, seq: e.target.result?.seq ?? next++ });
+          meta.put(next, 'nextSeq');
+        };
+      });
+    };
+    await transactionDone(tx);
+  }
+
+  /**
+   * Writes records with new ones placed after a given record, renumbering
+   * the whole store (only positioned inserts, e.g. undo, pay for this)
+   * @param {IDBTransaction} tx - Open readwrite transaction on logs and meta
+   * @param {Array<Object>} stored - Every stored record
+   */
+  #insertAt(tx, stored, records, after) {
+    const updates = new Map(records.map((record) => [record.id, record]));
+    const ordered = [...stored]
+      .sort((a, b) => a.seq - b.seq)
+      .map((record) => updates.get(record.id) ?? record);
+    const known = new Set(ordered.map((record) => record.id));
+    const added = records.filter((record) => !known.has(record.id));
+
+    const index =
+      after === null
+        ? 0
+        : ordered.findIndex((record) => record.id === after) + 1;
+    // An unknown anchor (e.g. deleted in another tab) leaves them appended
+    ordered.splice(
+      after === null || index > 0 ? index : ordered.length,
+      0,
+      ...added,
+    );
+
+    const store = tx.objectStore('logs');
+    ordered.forEach((record, seq) => store.put({ ...record, seq }));
+    tx.objectStore('meta').put(ordered.length, 'nextSeq');
+  }
+
+  async delete(ids) {
+    const tx = this.#db.transaction('logs', 'readwrite');
+    const store = tx.objectStore('logs');
+    ids.forEach((id) => store.delete(id));
+    await transactionDone(tx);
+  }
+
+  async replaceAll(records) {
+    const tx = this.#db.transaction(['logs', 'meta'], 'readwrite');
+    const store = tx.objectStore('logs');
+    store.clear();
+    records.forEach((record, seq) => store.put({ ...record, seq }));
+    tx.objectStore('meta').put(records.length, 'nextSeq');
+    tx.objectStore('meta').put(SCHEMA_VERSION, 'schemaVersion');
+    await transactionDone(tx);
+  }
+
+  async quarantine(raw, reason) {
+    try {
+      const tx = this.#db.transaction('quarantine', 'readwrite');
+      tx.objectStore('quarantine').add({
+        reason,
+        savedAt: new Date().toISOString(),
+        raw,
+      });
+      await transactionDone(tx);
+    } catch (e) {
+      console.error('Error quarantining data:', e);
+    }
+  }
+
+  /**
+   * One-time move of the legacy `scoutlog-logs` key into IndexedDB
+   * The raw value is quarantined first so nothing is lost
+   */
+  async #importFromLocalStorage() {
+    const raw = localStorage.getItem(LOGS_KEY);
+    if (!raw) return;
+
+    await this.quarantine(raw, 'moved-from-localstorage');
+
+    let records;
+    try {
+      const { logs } = parseLogs(await new LocalStorageAdapter().load());
+      records = logs.map((log) => log.toJSON());
+    } catch (e) {
+      // Unreadable legacy data stays quarantined; don't retry every load
+      localStorage.removeItem(LOGS_KEY);
+      throw e;
+    }
+
+    // If this write fails the key is kept and the move retried next load
+    await this.put(records);
+    localStorage.removeItem(LOGS_KEY);
+  }
+}
@@ -0,0 +1,125 @@
+/**
+ * LocalStorageAdapter Class
+ * Keeps all logs in one versioned envelope under a single localStorage key
+ */
+
+import { StorageAdapter } from './StorageAdapter.js';
+import { createEnvelope, migrate } from './migrations.js';
+
+export const LOGS_KEY = 'scoutlog-logs';
+
+export class LocalStorageAdapter extends StorageAdapter {
+  #key;
+  #records = new Map(); // id -> record (mirrors the stored envelope)
+
+  /**
+   * @param {string} key - localStorage key holding the envelope
+   */
+  constructor(key = LOGS_KEY) {
+    super();
+    this.#key = key;
+  }
+
+  /**
+   * Loads and migrates the envelope
+   * Unreadable data is quarantined before the error is rethrown
+   */
+  async load() {
+    const raw = localStorage.getItem(this.#key);
+    if (!raw) return [];
+
+    let result;
+    try {
+      result = migrate(JSON.parse(raw), {
+        beforeDestructive: () => this.quarantine(raw, 'migration'),
+      });
+    } catch (e) {
+      await this.quarantine(raw, 'unreadable');
+      throw e;
+    }
+
+    const { payload, fromVersion } = result;
+    this.#records = new Map(
+      payload.logs.filter((record) => record?.id).map((r) => [r.id, r]),
+    );
+
+    // Persist upgraded data in the current schema
+    if (fromVersion !== payload.version) this.#write();
+
+    return payload.logs;
+  }
+
+  async put(records, { after } = {}) {
+    this.#refresh();
+    const added = records.filter((record) => !this.#records.has(record.id));
+    records.forEach((record) => this.#records.set(record.id, record));
+
+    if (after !== undefined && added.length > 0) {
+      const entries = [...this.#records].filter(
+        ([, record]) => !added.includes(record),
+      );
+      const index =
+        after === null ? 0 : entries.findIndex(([id]) => id === after) + 1;
+      // An unknown anchor (e.g. deleted in another tab) leaves them appended
+      if (after === null || index > 0) {
+        entries.splice(index, 0, ...added.map((record) => [record.id, record]));
+        this.#records = new Map(entries);
+      }
+    }
+
+    this.#write();
+  }
+
+  async delete(ids) {
+    this.#refresh();
+    ids.forEach((id) => this.#records.delete(id));
+    this.#write();
+  }
+
+  async replaceAll(records) {
+    this.#records = new Map(records.map((record) => [record.id, record]));
+    this.#write();
+  }
+
+  async quarantine(raw, reason) {
+    const savedAt = new Date().toISOString();
+
+    try {
+      localStorage.setItem(
+        `scoutlog-quarantine-${savedAt}`,
+        JSON.stringify({ reason, savedAt, raw }),
+      );
+    } catch (e) {
+      console.error('Error quarantining data:', e);
+    }
+  }
+
+  /**
+   * Re-reads the envelope so writes from other tabs are not overwritten
+   * (unreadable data keeps the last known records)
+   */
+  #refresh() {
+    const raw = localStorage.getItem(this.#key);
+    if (!raw) {
+      this.#records = new Map();
+      return;
+    }
+
+    try {
+      const { payload } = migrate(JSON.parse(raw));
+      this.#records = new Map(
+        payload.logs.filter((record) => record?.id).map((r) => [r.id, r]),
+      );
+    } catch (e) {
+      console.warn('Stored logs could not be re-read:', e);
+    }
+  }
+
+  /**
+   * Rewrites the whole envelope (throws QuotaExceededError when full)
+   */
+  #write() {
+    const envelope = createEnvelope([...this.#records.values()]);
+    localStorage.setItem(this.#key, JSON.stringify(envelope));
+  }
+}
@@ -0,0 +1,62 @@
+/**
+ * StorageAdapter Base Class
+ * Interface shared by the localStorage and IndexedDB backends.
+ * Records are plain objects in the shape produced by Log#toJSON.
+ */
+
+export class StorageAdapter {
+  /**
+   * Loads all records, upgraded to the current schema
+   * @returns {Promise<Array<Object>>}
+   */
+  async load() {
+    throw new Error('load() not implemented');
+  }
+
+  /**
+   * Inserts or updates records by id. Updated records keep their place;
+   * new ones are appended unless a position is given.
+   * @param {Array<Object>} records
+   * @param {Object} options - after: id of the record new ones follow
+   *   (null: first)
+   */
+  async put(records, { after } = {}) {
+    throw new Error('put() not implemented');
+  }
+
+  /**
+   * Deletes records by id
+   * @param {Array<string>} ids
+   */
+  async delete(ids) {
+    throw new Error('delete() not implemented');
+  }
+
+  /**
+   * Replaces every stored record
+   * @param {Array<Object>} records
+   */
+  async replaceAll(records) {
+    throw new Error('replaceAll() not implemented');
+  }
+
+  /**
+   * Keeps a raw copy of data that is about to be dropped or rewritten
+   * @param {string} raw - Serialized data
+   * @param {string} reason - Why it was quarantined
+   */
+  async quarantine(raw, reason) {
+    throw new Error('quarantine() not implemented');
+  }
+}
+
+/**
+ * Whether an error means the browser storage quota is exhausted
+ */
+export function isQuotaError(error) {
+  return (
+    error?.name === 'QuotaExceededError' ||
+    error?.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+    error?.code === 22
+  );
+}
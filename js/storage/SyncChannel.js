@@ -0,0 +1,45 @@
+/**
+ * SyncChannel Class
+ * Tells other open tabs that stored logs changed, so they can reload them.
+ * Uses BroadcastChannel, falling back to localStorage `storage` events.
+ */
+
+const CHANNEL_NAME = 'scoutlog-sync';
+
+export class SyncChannel {
+  #channel = null;
+  #onChange;
+
+  /**
+   * @param {Function} onChange - Called when another tab changed stored logs
+   */
+  constructor(onChange) {
+    this.#onChange = onChange;
+
+    if (typeof BroadcastChannel !== 'undefined') {
+      this.#channel = new BroadcastChannel(CHANNEL_NAME);
+      this.#channel.addEventListener('message', () => this.#onChange());
+    } else {
+      // storage events only fire in the other tabs
+      window.addEventListener('storage', (e) => {
+        if (e.key === CHANNEL_NAME) this.#onChange();
+      });
+    }
+  }
+
+  /**
+   * Announces a committed write to the other tabs
+   */
+  notify() {
+    if (this.#channel) {
+      this.#channel.postMessage({ changedAt: Date.now() });
+      return;
+    }
+
+    try {
+      localStorage.setItem(CHANNEL_NAME, String(Date.now()));
+    } catch (e) {
+      console.warn('Could not notify other tabs:', e);
+    }
+  }
+}
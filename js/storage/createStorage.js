@@ -0,0 +1,24 @@
+/**
+ * Storage Factory
+ * IndexedDB by default, localStorage where IndexedDB is unavailable
+ */
+
+import { IndexedDBAdapter } from './IndexedDBAdapter.js';
+import { LocalStorageAdapter } from './LocalStorageAdapter.js';
+
+/**
+ * Opens the preferred storage backend
+ * @returns {Promise<import('./StorageAdapter.js').StorageAdapter>}
+ */
+export async function createStorage() {
+  if (typeof indexedDB !== 'undefined') {
+    try {
+      return await IndexedDBAdapter.open();
+    } catch (e) {
+      // e.g. private browsing modes that block IndexedDB
+      console.warn('IndexedDB unavailable, using localStorage:', e);
+    }
+  }
+
+  return new LocalStorageAdapter();
+}
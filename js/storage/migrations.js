@@ -0,0 +1,70 @@
+/**
+ * Storage Schema Migrations
+ * Versioned envelope for persisted logs and step-by-step upgrades
+ */
+
+export const SCHEMA_VERSION = 1;
+
+/**
+ * Upgrade steps - MIGRATIONS[n] turns a version-n payload into version n+1.
+ * Steps that drop or rewrite data must set `destructive` so the raw payload
+ * is quarantined before they run.
+ */
+const MIGRATIONS = [
+  {
+    // v0: bare array of logs, written before the envelope existed
+    destructive: false,
+    up: (logs) => ({ version: 1, logs }),
+  },
+];
+
+/**
+ * Wraps serialized logs in the current storage envelope
+ * @param {Array<Object>} logs - Output of toJSON for each log
+ */
+export function createEnvelope(logs) {
+  return { version: SCHEMA_VERSION, logs };
+}
+
+/**
+ * Detects the schema version of a parsed payload
+ * @throws {Error} If the payload shape is unknown
+ */
+function detectVersion(payload) {
+  if (Array.isArray(payload)) return 0;
+  if (
+    payload &&
+    Number.isInteger(payload.version) &&
+    Array.isArray(payload.logs)
+  ) {
+    return payload.version;
+  }
+  throw new Error('Unrecognised storage format');
+}
+
+/**
+ * Upgrades a parsed payload to the current schema
+ * @param {*} payload - Parsed contents of the logs key
+ * @param {Object} [hooks]
+ * @param {Function} [hooks.beforeDestructive] - Called once before the first destructive step
+ * @returns {{payload: {version: number, logs: Array}, fromVersion: number}}
+ * @throws {Error} If the payload is unknown or from a newer version
+ */
+export function migrate(payload, { beforeDestructive } = {}) {
+  const fromVersion = detectVersion(payload);
+
+  if (fromVersion > SCHEMA_VERSION) {
+    throw new Error(`Stored data uses newer schema v${fromVersion}`);
+  }
+
+  if (MIGRATIONS.slice(fromVersion).some((step) => step.destructive)) {
+    beforeDestructive?.();
+  }
+
+  let current = payload;
+  for (let version = fromVersion; version < SCHEMA_VERSION; version++) {
+    current = MIGRATIONS[version].up(current);
+  }
+
+  return { payload: current, fromVersion };
+}
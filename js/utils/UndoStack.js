@@ -0,0 +1,70 @@
+/**
+ * UndoStack Class
+ * Linear undo/redo history of reversible commands
+ */
+
+export class UndoStack {
+  #undoStack = [];
+  #redoStack = [];
+  #limit;
+
+  /**
+   * @param {number} limit - Maximum number of commands kept
+   */
+  constructor(limit = 100) {
+    this.#limit = limit;
+  }
+
+  // Getters
+  get canUndo() {
+    return this.#undoStack.length > 0;
+  }
+
+  get canRedo() {
+    return this.#redoStack.length > 0;
+  }
+
+  /**
+   * Records an already-applied command (clears the redo branch)
+   * @param {{undo: Function, redo: Function}} command
+   */
+  push(command) {
+    this.#undoStack.push(command);
+    if (this.#undoStack.length > this.#limit) this.#undoStack.shift();
+    this.#redoStack = [];
+  }
+
+  /**
+   * Reverts the last command
+   * @returns {boolean} Whether anything was undone
+   */
+  undo() {
+    const command = this.#undoStack.pop();
+    if (!command) return false;
+
+    command.undo();
+    this.#redoStack.push(command);
+    return true;
+  }
+
+  /**
+   * Re-applies the last undone command
+   * @returns {boolean} Whether anything was redone
+   */
+  redo() {
+    const command = this.#redoStack.pop();
+    if (!command) return false;
+
+    command.redo();
+    this.#undoStack.push(command);
+    return true;
+  }
+
+  /**
+   * Drops all history
+   */
+  clear() {
+    this.#undoStack = [];
+    this.#redoStack = [];
+  }
+}
@@ -0,0 +1,61 @@
+/**
+ * Backup Archive
+ * Versioned JSON archive of all logs plus app settings
+ */
+
+import { parseLogs } from '../models/parseLog.js';
+import { parseSettings } from '../models/settings.js';
+
+export const BACKUP_VERSION = 1;
+
+/**
+ * Serializes logs and settings as a backup archive
+ * @param {Array<Route | Spot>} logs
+ * @param {Object} settings - App settings
+ * @returns {string} JSON document
+ */
+export function createBackup(logs, settings) {
+  return JSON.stringify(
+    {
+      app: 'scoutlog',
+      version: BACKUP_VERSION,
+      exportedAt: new Date().toISOString(),
+      settings,
+      logs: logs.map((log) => log.toJSON()),
+    },
+    null,
+    2,
+  );
+}
+
+/**
+ * Validates and parses a backup archive
+ * @param {string} text - Backup file contents
+ * @returns {{logs: Array<Route | Spot>, skipped: number, settings: Object, exportedAt: Date | null}}
+ *   Settings are validated, with defaults for anything missing or invalid
+ * @throws {Error} If the file is not a ScoutLog backup this version can read
+ */
+export function parseBackup(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a valid backup file');
+  }
+
+  if (data?.app !== 'scoutlog' || !Array.isArray(data.logs)) {
+    throw new Error('Not a ScoutLog backup');
+  }
+
+  if (!Number.isInteger(data.version) || data.version > BACKUP_VERSION) {
+    throw new Error('Backup was made by a newer version of ScoutLog');
+  }
+
+  const exportedAt = new Date(data.exportedAt);
+
+  return {
+    ...parseLogs(data.logs),
+    settings: parseSettings(data.settings),
+    exportedAt: Number.isNaN(exportedAt.getTime()) ? null : exportedAt,
+  };
+}
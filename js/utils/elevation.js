@@ -0,0 +1,62 @@
+/**
+ * Elevation Utilities
+ * Climb stats and chart data for paths whose points carry elevation as a
+ * third coordinate: [lat, lng, ele] with ele in meters
+ */
+
+import { haversineDistance } from './geo.js';
+
+/**
+ * Appends elevation to a coordinate pair when it is a finite number
+ * @param {[number, number]} pair - [lat, lng] (or [lng, lat] for GeoJSON/KML)
+ * @param {number} ele - Elevation in meters, possibly NaN/undefined
+ */
+export function withElevation(pair, ele) {
+  return Number.isFinite(ele) ? [...pair, ele] : pair;
+}
+
+/**
+ * Total ascent/descent and altitude range of a path
+ * @param {Array<Array<number>>} points
+ * @returns {{ascent: number, descent: number, min: number, max: number} | null}
+ *   Meters, or null if fewer than two points have elevation
+ */
+export function elevationStats(points) {
+  const values = points.map((point) => point[2]).filter(Number.isFinite);
+  if (values.length < 2) return null;
+
+  let ascent = 0;
+  let descent = 0;
+  for (let i = 1; i < values.length; i++) {
+    const change = values[i] - values[i - 1];
+    if (change > 0) ascent += change;
+    else descent -= change;
+  }
+
+  return {
+    ascent,
+    descent,
+    min: Math.min(...values),
+    max: Math.max(...values),
+  };
+}
+
+/**
+ * Elevation samples along a path, for charting
+ * @param {Array<Array<number>>} points
+ * @returns {Array<{distance: number, elevation: number, point: Array<number>}>}
+ *   Points with elevation and their distance from the start in km
+ */
+export function elevationProfile(points) {
+  const profile = [];
+  let distance = 0;
+
+  points.forEach((point, i) => {
+    if (i > 0) distance += haversineDistance(points[i - 1], point);
+    if (Number.isFinite(point[2])) {
+      profile.push({ distance, elevation: point[2], point });
+    }
+  });
+
+  return profile;
+}
@@ -0,0 +1,60 @@
+/**
+ * Elevation Chart
+ * SVG area chart of an elevation profile, with a hover guide
+ */
+
+const WIDTH = 240;
+const HEIGHT = 72;
+const PADDING = 4;
+
+/**
+ * Builds the chart markup
+ * @param {Array<{distance: number, elevation: number}>} profile
+ * @returns {string} SVG element, or '' if there is nothing to plot
+ */
+export function elevationChartSVG(profile) {
+  if (profile.length < 2) return '';
+
+  const total = profile[profile.length - 1].distance || 1;
+  const values = profile.map((sample) => sample.elevation);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+
+  const x = (distance) => (distance / total) * WIDTH;
+  const y = (elevation) =>
+    HEIGHT - PADDING - ((elevation - min) / range) * (HEIGHT - 2 * PADDING);
+
+  const line = profile
+    .map(
+      ({ distance, elevation }) =>
+        `${x(distance).toFixed(1)},${y(elevation).toFixed(1)}`,
+    )
+    .join(' ');
+
+  return `
+    <svg class="elevation-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="none" role="img" aria-label="Elevation profile">
+      <polygon class="elevation-chart__area" points="0,${HEIGHT} ${line} ${WIDTH},${HEIGHT}"></polygon>
+      <polyline class="elevation-chart__line" points="${line}"></polyline>
+      <line class="elevation-chart__guide" x1="0" x2="0" y1="0" y2="${HEIGHT}" visibility="hidden"></line>
+    </svg>
+  `;
+}
+
+/**
+ * Finds the sample under a horizontal position on the chart
+ * @param {Array<{distance: number}>} profile
+ * @param {number} fraction - 0 (left edge) to 1 (right edge)
+ * @returns {{sample: Object, x: number}} Closest sample and its chart x
+ */
+export function sampleAt(profile, fraction) {
+  const total = profile[profile.length - 1].distance;
+  const target = Math.min(Math.max(fraction, 0), 1) * total;
+
+  const sample = profile.reduce((best, current) =>
+    Math.abs(current.distance - target) < Math.abs(best.distance - target)
+      ? current
+      : best,
+  );
+
+  return { sample, x: total ? (sample.distance / total) * WIDTH : 0 };
+}
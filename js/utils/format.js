@@ -0,0 +1,162 @@
+/**
+ * Display Formatting
+ * The one place values are converted for display. Logs are stored in
+ * canonical units (km, minutes, meters) and only converted here.
+ */
+
+/**
+ * Unit labels and conversion factors per unit system
+ */
+export const UNIT_SYSTEMS = {
+  metric: {
+    label: 'Metric',
+    distance: 'km',
+    speed: 'km/h',
+    pace: 'min/km',
+    elevation: 'm',
+    kmPerUnit: 1,
+    metersPerUnit: 1,
+    // Smallest first; each is used until the next one's size
+    areas: [
+      { label: 'm²', km2: 1e-6 },
+      { label: 'ha', km2: 0.01 },
+      { label: 'km²', km2: 1 },
+    ],
+  },
+  imperial: {
+    label: 'Imperial',
+    distance: 'mi',
+    speed: 'mph',
+    pace: 'min/mi',
+    elevation: 'ft',
+    kmPerUnit: 1.609344,
+    metersPerUnit: 0.3048,
+    areas: [
+      { label: 'ft²', km2: 9.290304e-8 },
+      { label: 'ac', km2: 0.0040468564224 },
+      { label: 'mi²', km2: 2.589988110336 },
+    ],
+  },
+};
+
+export const DEFAULT_UNITS = 'metric';
+
+/**
+ * Unit labels and factors, falling back to metric for unknown systems
+ * @param {string} units - 'metric' | 'imperial'
+ */
+export function unitsOf(units) {
+  return UNIT_SYSTEMS[units] ?? UNIT_SYSTEMS[DEFAULT_UNITS];
+}
+
+/**
+ * Converts km to the display distance unit
+ */
+export function distanceIn(km, units) {
+  return km / unitsOf(units).kmPerUnit;
+}
+
+/**
+ * Converts min/km to minutes per display distance unit
+ */
+export function paceIn(minPerKm, units) {
+  return minPerKm * unitsOf(units).kmPerUnit;
+}
+
+/**
+ * Converts km/h to the display speed unit
+ */
+export function speedIn(kmh, units) {
+  return kmh / unitsOf(units).kmPerUnit;
+}
+
+/**
+ * Converts meters to the display elevation unit
+ */
+export function elevationIn(meters, units) {
+  return meters / unitsOf(units).metersPerUnit;
+}
+
+/**
+ * Converts a pace entered in display units to min/km
+ */
+export function paceFromDisplay(value, units) {
+  return value / unitsOf(units).kmPerUnit;
+}
+
+/**
+ * Converts a speed entered in display units to km/h
+ */
+export function speedFromDisplay(value, units) {
+  return value * unitsOf(units).kmPerUnit;
+}
+
+/**
+ * Formats a distance, e.g. "3.15 km" or "1.96 mi"
+ * @param {number} km
+ */
+export function formatDistance(km, units) {
+  return `${distanceIn(km, units).toFixed(2)} ${unitsOf(units).distance}`;
+}
+
+/**
+ * Formats a pace, e.g. "5.4 min/km" ("--" when unknown)
+ * @param {number} minPerKm
+ */
+export function formatPace(minPerKm, units) {
+  const value = minPerKm > 0 ? paceIn(minPerKm, units).toFixed(1) : '--';
+  return `${value} ${unitsOf(units).pace}`;
+}
+
+/**
+ * Formats a speed, e.g. "22.2 km/h" ("--" when unknown)
+ * @param {number} kmh
+ */
+export function formatSpeed(kmh, units) {
+  const value = kmh > 0 ? speedIn(kmh, units).toFixed(1) : '--';
+  return `${value} ${unitsOf(units).speed}`;
+}
+
+/**
+ * Formats an elevation or climb, e.g. "320 m" or "1050 ft"
+ * @param {number} meters
+ */
+export function formatElevation(meters, units) {
+  return `${Math.round(elevationIn(meters, units))} ${unitsOf(units).elevation}`;
+}
+
+/**
+ * Formats an area in the largest unit it fills, e.g. "850 m²" or "2.40 ha"
+ * @param {number} km2
+ */
+export function formatArea(km2, units) {
+  const { areas } = unitsOf(units);
+  const unit = areas.findLast((a) => km2 >= a.km2) ?? areas[0];
+  const value = km2 / unit.km2;
+  return `${unit === areas[0] ? Math.round(value) : value.toFixed(2)} ${unit.label}`;
+}
+
+const COMPASS_POINTS = ['N', 'NE', 'E', 'SE', 'S', 'SW', 'W', 'NW'];
+
+/**
+ * Formats a compass bearing, e.g. "045° NE"
+ * @param {number} degrees - Clockwise from north
+ */
+export function formatBearing(degrees) {
+  const rounded = Math.round(degrees) % 360;
+  const point = COMPASS_POINTS[Math.round(rounded / 45) % 8];
+  return `${String(rounded).padStart(3, '0')}° ${point}`;
+}
+
+/**
+ * Formats minutes as "45 min" or "2h 05m"
+ * @param {number} minutes
+ */
+export function formatDuration(minutes) {
+  const total = Math.round(minutes);
+  if (total < 60) return `${total} min`;
+
+  const hours = Math.floor(total / 60);
+  const rest = String(total % 60).padStart(2, '0');
+  return `${hours}h ${rest}m`;
+}
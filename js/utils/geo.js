@@ -0,0 +1,151 @@
+/**
+ * Geo Utilities
+ * Haversine distance helpers shared by the app and file importers
+ */
+
+const EARTH_RADIUS_KM = 6371;
+
+/**
+ * Haversine formula for distance between two coordinates
+ * @param {[number, number]} coord1 - [lat, lng]
+ * @param {[number, number]} coord2 - [lat, lng]
+ * @returns {number} Distance in kilometers
+ */
+export function haversineDistance(coord1, coord2) {
+  const dLat = ((coord2[0] - coord1[0]) * Math.PI) / 180;
+  const dLon = ((coord2[1] - coord1[1]) * Math.PI) / 180;
+
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos((coord1[0] * Math.PI) / 180) *
+      Math.cos((coord2[0] * Math.PI) / 180) *
+      Math.sin(dLon / 2) ** 2;
+
+  return EARTH_RADIUS_KM * 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+}
+
+/**
+ * Total distance along a path of points
+ * @param {Array<[number, number]>} points - Array of [lat, lng]
+ * @returns {number} Distance in kilometers
+ */
+export function calculateTotalDistance(points) {
+  let total = 0;
+  for (let i = 1; i < points.length; i++) {
+    total += haversineDistance(points[i - 1], points[i]);
+  }
+  return total;
+}
+
+/**
+ * Distance of each stretch between chosen points of a path
+ * @param {Array<[number, number]>} points - Array of [lat, lng]
+ * @param {Array<number>} indexes - Ascending indexes into points
+ * @returns {Array<number>} Kilometers between consecutive indexes
+ */
+export function segmentDistances(points, indexes) {
+  return indexes
+    .slice(1)
+    .map((end, i) => calculateTotalDistance(points.slice(indexes[i], end + 1)));
+}
+
+/**
+ * Positions at every multiple of an interval along a path, interpolated
+ * between the points either side
+ * @param {Array<[number, number]>} points - Array of [lat, lng]
+ * @param {number} interval - Spacing in kilometers
+ * @returns {Array<{point: [number, number], distance: number}>} Distance in km
+ */
+export function pointsAlong(points, interval) {
+  const marks = [];
+  let travelled = 0;
+  let next = interval;
+
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+    const length = haversineDistance(a, b);
+
+    while (length > 0 && travelled + length >= next) {
+      const t = (next - travelled) / length;
+      marks.push({
+        point: [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t],
+        distance: next,
+      });
+      next += interval;
+    }
+    travelled += length;
+  }
+
+  return marks;
+}
+
+/**
+ * Initial compass bearing from one point towards another
+ * @param {[number, number]} from - [lat, lng]
+ * @param {[number, number]} to - [lat, lng]
+ * @returns {number} Degrees clockwise from north (0-360)
+ */
+export function bearing(from, to) {
+  const rad = Math.PI / 180;
+  const dLon = (to[1] - from[1]) * rad;
+  const y = Math.sin(dLon) * Math.cos(to[0] * rad);
+  const x =
+    Math.cos(from[0] * rad) * Math.sin(to[0] * rad) -
+    Math.sin(from[0] * rad) * Math.cos(to[0] * rad) * Math.cos(dLon);
+
+  return (Math.atan2(y, x) / rad + 360) % 360;
+}
+
+/**
+ * Area enclosed by a path, treated as closed (spherical approximation)
+ * @param {Array<[number, number]>} points - Array of [lat, lng]
+ * @returns {number} Area in square kilometers
+ */
+export function polygonArea(points) {
+  if (points.length < 3) return 0;
+
+  const rad = Math.PI / 180;
+  let sum = 0;
+  points.forEach((a, i) => {
+    const b = points[(i + 1) % points.length];
+    sum +=
+      (b[1] - a[1]) * rad * (2 + Math.sin(a[0] * rad) + Math.sin(b[0] * rad));
+  });
+
+  return Math.abs((sum * EARTH_RADIUS_KM ** 2) / 2);
+}
+
+/**
+ * Where a point falls along a path: the nearest position on any segment
+ * @param {Array<[number, number]>} points - Array of [lat, lng]
+ * @param {[number, number]} point - [lat, lng]
+ * @returns {{along: number, offset: number}} Kilometers along the path to
+ *   the nearest position, and from the point to it
+ */
+export function projectOntoPath(points, point) {
+  let nearest = { along: 0, offset: Infinity };
+  let travelled = 0;
+
+  for (let i = 1; i < points.length; i++) {
+    const [a, b] = [points[i - 1], points[i]];
+
+    // Flat projection around a - accurate enough within one segment
+    const scale = Math.cos((a[0] * Math.PI) / 180);
+    const [dx, dy] = [(b[1] - a[1]) * scale, b[0] - a[0]];
+    const [px, py] = [(point[1] - a[1]) * scale, point[0] - a[0]];
+    const lengthSq = dx * dx + dy * dy;
+    const t =
+      lengthSq === 0
+        ? 0
+        : Math.max(0, Math.min(1, (px * dx + py * dy) / lengthSq));
+
+    const foot = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+    const offset = haversineDistance(point, foot);
+    if (offset < nearest.offset) {
+      nearest = { along: travelled + haversineDistance(a, foot), offset };
+    }
+    travelled += haversineDistance(a, b);
+  }
+
+  return nearest;
+}
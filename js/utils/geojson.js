@@ -0,0 +1,172 @@
+/**
+ * GeoJSON Interchange
+ * Whole-collection export as a FeatureCollection and import of features
+ */
+
+import { Route } from '../models/Route.js';
+import { Spot } from '../models/Spot.js';
+import { calculateTotalDistance } from './geo.js';
+import { withElevation } from './elevation.js';
+import { parseActivity } from '../models/activities.js';
+import { parseCategory } from '../models/categories.js';
+import { parseTags, parseCollections } from '../models/labels.js';
+import { isPoint, isVertexList } from '../models/parseLog.js';
+import { isSafeId } from '../models/Log.js';
+
+/**
+ * Reads a list property: an array, or comma-separated text (KML)
+ */
+function listProperty(value) {
+  if (Array.isArray(value)) return value;
+  return typeof value === 'string' && value ? value.split(',') : [];
+}
+
+/**
+ * Converts a log to a GeoJSON Feature (coordinates in [lng, lat] order)
+ * @param {Route | Spot} log
+ * @returns {Object} Feature with properties mirroring toJSON (minus photos)
+ */
+export function logToFeature(log) {
+  // Photos stay in backups; they would bloat an interchange file
+  const { coords, photos, ...properties } = log.toJSON();
+
+  const geometry =
+    log.type === 'route'
+      ? {
+          type: 'LineString',
+          coordinates: coords.map(([lat, lng, ele]) =>
+            withElevation([lng, lat], ele),
+          ),
+        }
+      : { type: 'Point', coordinates: [coords[1], coords[0]] };
+
+  return { type: 'Feature', id: properties.id, geometry, properties };
+}
+
+/**
+ * Serializes logs as a GeoJSON FeatureCollection
+ * @param {Array<Route | Spot>} logs
+ * @returns {string} GeoJSON document
+ */
+export function logsToGeoJSON(logs) {
+  return JSON.stringify(
+    { type: 'FeatureCollection', features: logs.map(logToFeature) },
+    null,
+    2,
+  );
+}
+
+/**
+ * Builds a Route or Spot from a feature's geometry and properties
+ * @returns {Route | Spot | null} null for features without a usable geometry
+ */
+function featureToLog(feature) {
+  const geometry = feature?.geometry;
+  const props = feature?.properties || {};
+  if (!geometry) return null;
+
+  const text = (value) => (typeof value === 'string' ? value : '');
+  const title = text(props.title) || text(props.name);
+  const notes = text(props.notes) || text(props.description);
+  let log;
+
+  if (geometry.type === 'LineString' || geometry.type === 'MultiLineString') {
+    const lines =
+      geometry.type === 'LineString'
+        ? [geometry.coordinates]
+        : geometry.coordinates;
+    if (!Array.isArray(lines) || !lines.every(Array.isArray)) return null;
+
+    // Numbers only: strings would render but fail validation on next load
+    const points = lines.flat();
+    if (points.length < 2 || !points.every(isPoint)) return null;
+    const coords = points.map(([lng, lat, ele]) =>
+      withElevation([lat, lng], ele),
+    );
+
+    log = new Route(
+      coords,
+      Number.isFinite(props.distance) && props.distance >= 0
+        ? props.distance
+        : calculateTotalDistance(coords),
+      title || 'Imported Route',
+      Number(props.duration) > 0 ? Number(props.duration) : 0,
+      notes,
+      parseActivity(props.activity),
+    );
+
+    // User-placed points, so an export re-imports as the same route
+    const vertices = listProperty(props.vertices).map(Number);
+    if (isVertexList(vertices, coords.length)) log.setVertices(vertices);
+    log.setWaypoints(listProperty(props.waypoints).filter(isSafeId));
+  } else if (geometry.type === 'Point') {
+    if (!isPoint(geometry.coordinates)) return null;
+    const [lng, lat] = geometry.coordinates;
+    log = new Spot(
+      [lat, lng],
+      title || 'Imported Spot',
+      notes,
+      parseCategory(props.category),
+    );
+  } else {
+    return null;
+  }
+
+  // Keep the original id and dates so re-imports can be recognised
+  const id = props.id ?? feature.id;
+  if (id !== undefined && id !== null && isSafeId(String(id))) {
+    log._setId(String(id));
+  }
+
+  const date = new Date(props.date);
+  if (props.date && !Number.isNaN(date.getTime())) log._setDate(date);
+
+  const updatedAt = new Date(props.updatedAt);
+  if (props.updatedAt && !Number.isNaN(updatedAt.getTime())) {
+    log.touch(updatedAt);
+  }
+
+  // Lists come back as comma-separated text from KML ExtendedData
+  log.setLabels({
+    tags: parseTags(props.tags),
+    collections: parseCollections(props.collections),
+  });
+
+  return log;
+}
+
+/**
+ * Converts a parsed GeoJSON object (FeatureCollection or Feature) into logs
+ * @param {Object} data - GeoJSON object
+ * @returns {Array<Route | Spot>}
+ * @throws {Error} If the object is not a Feature or FeatureCollection
+ */
+export function geoJSONToLogs(data) {
+  let features;
+  if (data?.type === 'FeatureCollection' && Array.isArray(data.features)) {
+    features = data.features;
+  } else if (data?.type === 'Feature') {
+    features = [data];
+  } else {
+    throw new Error('Not a valid GeoJSON file');
+  }
+
+  return features.map(featureToLog).filter(Boolean);
+}
+
+/**
+ * Parses a GeoJSON file into logs
+ * @param {string} text - GeoJSON file contents
+ * @returns {Array<Route | Spot>}
+ * @throws {Error} If the file is not valid GeoJSON
+ */
+export function parseGeoJSON(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch {
+    throw new Error('Not a valid GeoJSON file');
+  }
+
+  return geoJSONToLogs(data);
+}
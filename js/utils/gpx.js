@@ -0,0 +1,188 @@
+/**
+ * GPX Interchange
+ * GPX 1.1 export of routes/spots and import of tracks, routes and waypoints
+ */
+
+import { Route } from '../models/Route.js';
+import { Spot } from '../models/Spot.js';
+import { calculateTotalDistance } from './geo.js';
+import { withElevation } from './elevation.js';
+import { parseActivity } from '../models/activities.js';
+import { parseCategory } from '../models/categories.js';
+import { textElement, childText, parseXML, parseTime } from './xml.js';
+
+const GPX_NS = 'http://www.topografix.com/GPX/1/1';
+
+/**
+ * Wraps body elements in a GPX 1.1 document
+ */
+function gpxDocument(data, body) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<gpx version="1.1" creator="ScoutLog" xmlns="${GPX_NS}">\n` +
+    '  <metadata>\n' +
+    textElement('name', data.title, '    ') +
+    textElement('time', data.date, '    ') +
+    '  </metadata>\n' +
+    body +
+    '</gpx>\n'
+  );
+}
+
+/**
+ * A spot as a <wpt> element
+ */
+function waypointXML(spot) {
+  const data = spot.toJSON();
+  const [lat, lng] = data.coords;
+
+  return (
+    `  <wpt lat="${lat}" lon="${lng}">\n` +
+    textElement('time', data.date, '    ') +
+    textElement('name', data.title, '    ') +
+    textElement('desc', data.description, '    ') +
+    textElement('type', data.category, '    ') +
+    '  </wpt>\n'
+  );
+}
+
+/**
+ * Serializes a Route as a GPX track or route
+ * @param {Route} route
+ * @param {'trk' | 'rte'} as - Track (trk/trkseg/trkpt) or route (rte/rtept)
+ * @param {Array<Spot>} waypoints - Attached spots, written as <wpt>
+ * @returns {string} GPX document
+ */
+export function routeToGPX(route, as = 'trk', waypoints = []) {
+  const data = route.toJSON();
+  const pointTag = as === 'rte' ? 'rtept' : 'trkpt';
+  const pointIndent = as === 'rte' ? '    ' : '      ';
+
+  const points = data.coords
+    .map(([lat, lng, ele]) =>
+      Number.isFinite(ele)
+        ? `${pointIndent}<${pointTag} lat="${lat}" lon="${lng}">\n` +
+          textElement('ele', String(ele), `${pointIndent}  `) +
+          `${pointIndent}</${pointTag}>\n`
+        : `${pointIndent}<${pointTag} lat="${lat}" lon="${lng}"/>\n`,
+    )
+    .join('');
+
+  // GPX 1.1 lists waypoints before routes and tracks
+  const body =
+    waypoints.map(waypointXML).join('') +
+    `  <${as}>\n` +
+    textElement('name', data.title, '    ') +
+    textElement('desc', data.notes, '    ') +
+    textElement('type', data.activity, '    ') +
+    (as === 'rte' ? points : `    <trkseg>\n${points}    </trkseg>\n`) +
+    `  </${as}>\n`;
+
+  return gpxDocument(data, body);
+}
+
+/**
+ * Serializes a Spot as a GPX waypoint
+ * @param {Spot} spot
+ * @returns {string} GPX document
+ */
+export function spotToGPX(spot) {
+  return gpxDocument(spot.toJSON(), waypointXML(spot));
+}
+
+/**
+ * Reads [lat, lng, ele?] and optional time from a trkpt/rtept/wpt element
+ */
+function readPoint(el) {
+  const lat = parseFloat(el.getAttribute('lat'));
+  const lng = parseFloat(el.getAttribute('lon'));
+  if (!Number.isFinite(lat) || !Number.isFinite(lng)) return null;
+
+  const ele = parseFloat(childText(el, 'ele'));
+  return {
+    coords: withElevation([lat, lng], ele),
+    time: parseTime(childText(el, 'time')),
+  };
+}
+
+/**
+ * Builds a Route from parsed points
+ */
+function buildRoute(el, points, fallbackDate) {
+  const coords = points.map((p) => p.coords);
+  const start = points[0].time;
+  const end = points[points.length - 1].time;
+
+  // Recorded tracks carry timestamps - derive duration from them
+  const duration =
+    start && end ? Math.max(Math.round((end - start) / 60000), 0) : 0;
+
+  const route = new Route(
+    coords,
+    calculateTotalDistance(coords),
+    childText(el, 'name') || 'Imported Route',
+    duration,
+    childText(el, 'desc') || childText(el, 'cmt'),
+    parseActivity(childText(el, 'type')),
+  );
+
+  const date = start || fallbackDate;
+  if (date) route._setDate(date);
+  return route;
+}
+
+/**
+ * Parses a GPX document into Route and Spot instances
+ * @param {string} text - GPX file contents
+ * @returns {Array<Route | Spot>}
+ * @throws {Error} If the file is not valid GPX
+ */
+export function parseGPX(text) {
+  const root = parseXML(text, 'gpx', 'GPX');
+
+  const metadata = root.getElementsByTagName('metadata')[0];
+  const fallbackDate = metadata ? parseTime(childText(metadata, 'time')) : null;
+
+  const logs = [];
+
+  // Tracks - all segments joined into one route
+  for (const trk of root.getElementsByTagName('trk')) {
+    const points = [...trk.getElementsByTagName('trkpt')]
+      .map(readPoint)
+      .filter(Boolean);
+    if (points.length >= 2) logs.push(buildRoute(trk, points, fallbackDate));
+  }
+
+  // Routes
+  for (const rte of root.getElementsByTagName('rte')) {
+    const points = [...rte.getElementsByTagName('rtept')]
+      .map(readPoint)
+      .filter(Boolean);
+    if (points.length >= 2) logs.push(buildRoute(rte, points, fallbackDate));
+  }
+
+  // Waypoints - attached to the route if the file has just one
+  const routes = [...logs];
+  for (const wpt of root.getElementsByTagName('wpt')) {
+    const point = readPoint(wpt);
+    if (!point) continue;
+
+    const spot = new Spot(
+      point.coords.slice(0, 2),
+      childText(wpt, 'name') || 'Imported Spot',
+      childText(wpt, 'desc') || childText(wpt, 'cmt'),
+      parseCategory(childText(wpt, 'type') || childText(wpt, 'sym')),
+    );
+    const date = point.time || fallbackDate;
+    if (date) spot._setDate(date);
+    logs.push(spot);
+  }
+
+  if (routes.length === 1) {
+    routes[0].setWaypoints(
+      logs.filter((log) => log.type === 'spot').map((spot) => spot.id),
+    );
+  }
+
+  return logs;
+}
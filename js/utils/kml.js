@@ -0,0 +1,137 @@
+/**
+ * KML Interchange
+ * Whole-collection export for Google Earth and import of placemarks
+ */
+
+import { logToFeature, geoJSONToLogs } from './geojson.js';
+import { withElevation } from './elevation.js';
+import { escapeXML, textElement, childText, parseXML } from './xml.js';
+
+const KML_NS = 'http://www.opengis.net/kml/2.2';
+
+/**
+ * Serializes one log as a Placemark (properties go to ExtendedData)
+ */
+function logToPlacemark(log) {
+  const { geometry, properties } = logToFeature(log);
+  const { title, notes, description, date } = properties;
+
+  const data = Object.entries(properties)
+    .map(
+      ([name, value]) =>
+        `        <Data name="${escapeXML(name)}"><value>${escapeXML(value)}</value></Data>\n`,
+    )
+    .join('');
+
+  const coordinates =
+    geometry.type === 'LineString'
+      ? geometry.coordinates.map((tuple) => tuple.join(',')).join(' ')
+      : `${geometry.coordinates[0]},${geometry.coordinates[1]},0`;
+
+  const shape =
+    geometry.type === 'LineString'
+      ? '      <LineString>\n' +
+        '        <tessellate>1</tessellate>\n' +
+        `        <coordinates>${coordinates}</coordinates>\n` +
+        '      </LineString>\n'
+      : '      <Point>\n' +
+        `        <coordinates>${coordinates}</coordinates>\n` +
+        '      </Point>\n';
+
+  return (
+    '    <Placemark>\n' +
+    textElement('name', title, '      ') +
+    textElement('description', notes || description, '      ') +
+    (date ? `      <TimeStamp><when>${date}</when></TimeStamp>\n` : '') +
+    '      <ExtendedData>\n' +
+    data +
+    '      </ExtendedData>\n' +
+    shape +
+    '    </Placemark>\n'
+  );
+}
+
+/**
+ * Serializes logs as a KML document
+ * @param {Array<Route | Spot>} logs
+ * @returns {string} KML document
+ */
+export function logsToKML(logs) {
+  return (
+    '<?xml version="1.0" encoding="UTF-8"?>\n' +
+    `<kml xmlns="${KML_NS}">\n` +
+    '  <Document>\n' +
+    '    <name>ScoutLog</name>\n' +
+    logs.map(logToPlacemark).join('') +
+    '  </Document>\n' +
+    '</kml>\n'
+  );
+}
+
+/**
+ * Parses a KML coordinates string ("lng,lat[,alt] ...") into [lng, lat, alt?]
+ */
+function parseCoordinates(text) {
+  return text
+    .trim()
+    .split(/\s+/)
+    .map((tuple) => tuple.split(',').map(Number))
+    .filter(([lng, lat]) => Number.isFinite(lng) && Number.isFinite(lat))
+    .map(([lng, lat, alt]) => withElevation([lng, lat], alt));
+}
+
+/**
+ * Converts a Placemark to a GeoJSON Feature
+ */
+function placemarkToFeature(placemark) {
+  const properties = {};
+
+  for (const data of placemark.getElementsByTagName('Data')) {
+    properties[data.getAttribute('name')] = childText(data, 'value');
+  }
+
+  // Typed values come back as strings from ExtendedData
+  ['distance', 'duration'].forEach((key) => {
+    if (key in properties) properties[key] = Number(properties[key]);
+  });
+
+  properties.title = properties.title || childText(placemark, 'name');
+  properties.notes = properties.notes || childText(placemark, 'description');
+
+  const when = placemark.getElementsByTagName('when')[0];
+  if (!properties.date && when) properties.date = when.textContent.trim();
+
+  const lines = [...placemark.getElementsByTagName('LineString')];
+  const point = placemark.getElementsByTagName('Point')[0];
+  let geometry = null;
+
+  if (lines.length) {
+    geometry = {
+      type: 'MultiLineString',
+      coordinates: lines.map((line) =>
+        parseCoordinates(childText(line, 'coordinates')),
+      ),
+    };
+  } else if (point) {
+    const [coordinates] = parseCoordinates(childText(point, 'coordinates'));
+    if (coordinates) geometry = { type: 'Point', coordinates };
+  }
+
+  return { type: 'Feature', geometry, properties };
+}
+
+/**
+ * Parses a KML file into logs
+ * @param {string} text - KML file contents
+ * @returns {Array<Route | Spot>}
+ * @throws {Error} If the file is not valid KML
+ */
+export function parseKML(text) {
+  const root = parseXML(text, 'kml', 'KML');
+
+  const features = [...root.getElementsByTagName('Placemark')].map(
+    placemarkToFeature,
+  );
+
+  return geoJSONToLogs({ type: 'FeatureCollection', features });
+}
@@ -0,0 +1,178 @@
+/**
+ * Path Utilities
+ * Pure transforms on route paths (arrays of [lat, lng, ele?] points)
+ */
+
+import { haversineDistance } from './geo.js';
+
+const METERS_PER_DEGREE = (6371000 * Math.PI) / 180;
+
+/**
+ * Whether two points share a position (elevation is ignored)
+ */
+function samePosition(a, b) {
+  return a[0] === b[0] && a[1] === b[1];
+}
+
+/**
+ * Retraces the path back to its start, doubling its length
+ * @param {Array<Array<number>>} points
+ * @returns {Array<Array<number>>} New path
+ */
+export function outAndBack(points) {
+  const back = points
+    .slice(0, -1)
+    .reverse()
+    .map((point) => [...point]);
+  return [...points.map((point) => [...point]), ...back];
+}
+
+/**
+ * Joins the end of the path back to its start (no-op if already closed)
+ * @param {Array<Array<number>>} points
+ * @returns {Array<Array<number>>} New path
+ */
+export function closeLoop(points) {
+  const copy = points.map((point) => [...point]);
+  if (points.length < 2 || samePosition(points[0], points.at(-1))) return copy;
+  return [...copy, [...points[0]]];
+}
+
+/**
+ * Reverses the direction of travel
+ * @param {Array<Array<number>>} points
+ * @returns {Array<Array<number>>} New path
+ */
+export function reversePath(points) {
+  return points.map((point) => [...point]).reverse();
+}
+
+/**
+ * Splits the path at a vertex; both halves keep that vertex
+ * @param {Array<Array<number>>} points
+ * @param {number} index - Vertex to split at
+ * @returns {Array<Array<Array<number>>>} Two new paths
+ */
+export function splitPath(points, index) {
+  return [points.slice(0, index + 1), points.slice(index)].map((part) =>
+    part.map((point) => [...point]),
+  );
+}
+
+/**
+ * Joins paths end to end (a shared joining point is kept once)
+ * @param {Array<Array<Array<number>>>} paths
+ * @returns {Array<Array<number>>} New path
+ */
+export function joinPaths(paths) {
+  const joined = [];
+  paths.forEach((path) =>
+    path.forEach((point, i) => {
+      if (i === 0 && joined.length && samePosition(joined.at(-1), point)) {
+        return;
+      }
+      joined.push([...point]);
+    }),
+  );
+  return joined;
+}
+
+/**
+ * Flat x/y positions in meters (equirectangular, fine at route scale)
+ */
+function toMeters(points) {
+  const scale = Math.cos((points[0][0] * Math.PI) / 180);
+  return points.map(([lat, lng]) => [
+    lng * scale * METERS_PER_DEGREE,
+    lat * METERS_PER_DEGREE,
+  ]);
+}
+
+/**
+ * Distance from p to the segment a-b (all [x, y] in meters)
+ */
+function distanceToSegment(p, a, b) {
+  const [dx, dy] = [b[0] - a[0], b[1] - a[1]];
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq === 0
+      ? 0
+      : Math.max(
+          0,
+          Math.min(1, ((p[0] - a[0]) * dx + (p[1] - a[1]) * dy) / lengthSq),
+        );
+  return Math.hypot(p[0] - (a[0] + t * dx), p[1] - (a[1] + t * dy));
+}
+
+/**
+ * Drops points that stray less than the tolerance from a straight line
+ * (Douglas-Peucker). The ends are always kept.
+ * @param {Array<Array<number>>} points
+ * @param {number} tolerance - Meters
+ * @returns {{points: Array<Array<number>>, positions: Array<number>}} New
+ *   path, and the new index of each original point (-1 if dropped)
+ */
+export function simplifyPath(points, tolerance) {
+  const keep = points.map((_, i) => i === 0 || i === points.length - 1);
+  const xy = toMeters(points);
+
+  // Iterative so long tracks can't overflow the call stack
+  const stack = points.length > 2 ? [[0, points.length - 1]] : [];
+  while (stack.length) {
+    const [first, last] = stack.pop();
+    let farthest = -1;
+    let max = tolerance;
+
+    for (let i = first + 1; i < last; i++) {
+      const distance = distanceToSegment(xy[i], xy[first], xy[last]);
+      if (distance > max) {
+        max = distance;
+        farthest = i;
+      }
+    }
+
+    if (farthest !== -1) {
+      keep[farthest] = true;
+      stack.push([first, farthest], [farthest, last]);
+    }
+  }
+
+  let next = 0;
+  return {
+    points: points.filter((_, i) => keep[i]).map((point) => [...point]),
+    positions: keep.map((kept) => (kept ? next++ : -1)),
+  };
+}
+
+/**
+ * Point between a and b at fraction t (elevation too, if both have it)
+ */
+function interpolate(a, b, t) {
+  const point = [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+  if (a.length > 2 && b.length > 2) point.push(a[2] + (b[2] - a[2]) * t);
+  return point;
+}
+
+/**
+ * Adds evenly spaced points so no gap is longer than the spacing
+ * @param {Array<Array<number>>} points
+ * @param {number} spacing - Meters
+ * @returns {{points: Array<Array<number>>, positions: Array<number>}} New
+ *   path, and the new index of each original point
+ */
+export function densifyPath(points, spacing) {
+  const dense = [[...points[0]]];
+  const positions = [0];
+
+  points.slice(1).forEach((point, i) => {
+    const prev = points[i];
+    const steps = Math.ceil((haversineDistance(prev, point) * 1000) / spacing);
+    for (let step = 1; step < steps; step++) {
+      dense.push(interpolate(prev, point, step / steps));
+    }
+    positions.push(dense.length);
+    dense.push([...point]);
+  });
+
+  return { points: dense, positions };
+}
@@ -0,0 +1,53 @@
+/**
+ * Photo Attachments
+ * Shrinks picked images so they can be stored locally with a spot
+ */
+
+export const MAX_PHOTOS = 4; // Per spot
+const MAX_EDGE = 1024; // Longest side in pixels
+const QUALITY = 0.8; // JPEG quality
+
+/**
+ * Whether a value is a stored photo (image data URL)
+ */
+export function isPhoto(value) {
+  return typeof value === 'string' && value.startsWith('data:image/');
+}
+
+/**
+ * Loads an image file into an <img> element
+ */
+function loadImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file);
+    const image = new Image();
+
+    image.onload = () => {
+      URL.revokeObjectURL(url);
+      resolve(image);
+    };
+    image.onerror = () => {
+      URL.revokeObjectURL(url);
+      reject(new Error(`${file.name} is not a readable image`));
+    };
+    image.src = url;
+  });
+}
+
+/**
+ * Scales an image file down to MAX_EDGE and re-encodes it as JPEG
+ * @param {File} file
+ * @returns {Promise<string>} Data URL
+ * @throws {Error} If the file cannot be read as an image
+ */
+export async function resizePhoto(file) {
+  const image = await loadImage(file);
+  const scale = Math.min(1, MAX_EDGE / Math.max(image.width, image.height));
+
+  const canvas = document.createElement('canvas');
+  canvas.width = Math.round(image.width * scale);
+  canvas.height = Math.round(image.height * scale);
+  canvas.getContext('2d').drawImage(image, 0, 0, canvas.width, canvas.height);
+
+  return canvas.toDataURL('image/jpeg', QUALITY);
+}
@@ -0,0 +1,103 @@
+/**
+ * Stats Charts
+ * Small SVG charts for the stats panel, built as markup so they work
+ * offline. Values arrive already converted to display units; each mark
+ * carries a <title> with its readout.
+ */
+
+const WIDTH = 240;
+const HEIGHT = 64;
+const PADDING = 4;
+
+const CELL = 9; // Heatmap square plus gap
+const LEVELS = 4; // Heatmap shades above "no activity"
+
+/**
+ * Bar chart, one bar per period
+ * @param {Array<{value: number, title: string}>} bars - Oldest first
+ * @param {string} label - Accessible name
+ * @returns {string} SVG element
+ */
+export function barChartSVG(bars, label) {
+  const max = Math.max(...bars.map((bar) => bar.value)) || 1;
+  const slot = WIDTH / bars.length;
+
+  const rects = bars
+    .map(({ value, title }, i) => {
+      const height = (value / max) * (HEIGHT - PADDING);
+      return `<rect class="stats-chart__bar" x="${(i * slot + 1).toFixed(1)}" y="${(HEIGHT - height).toFixed(1)}" width="${(slot - 2).toFixed(1)}" height="${height.toFixed(1)}"><title>${title}</title></rect>`;
+    })
+    .join('');
+
+  return `
+    <svg class="stats-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" preserveAspectRatio="none" role="img" aria-label="${label}">
+      <line class="stats-chart__base" x1="0" x2="${WIDTH}" y1="${HEIGHT}" y2="${HEIGHT}"></line>
+      ${rects}
+    </svg>
+  `;
+}
+
+/**
+ * Line chart of values in order, with a dot per value
+ * @param {Array<{value: number, title: string}>} points - Oldest first
+ * @param {string} label - Accessible name
+ * @param {Object} options - invert: true draws lower values higher (pace)
+ * @returns {string} SVG element, or '' with fewer than two points
+ */
+export function lineChartSVG(points, label, { invert = false } = {}) {
+  if (points.length < 2) return '';
+
+  const values = points.map((point) => point.value);
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min || 1;
+
+  const x = (i) => PADDING + (i / (points.length - 1)) * (WIDTH - 2 * PADDING);
+  const y = (value) => {
+    const share = (value - min) / range;
+    return PADDING + (invert ? share : 1 - share) * (HEIGHT - 2 * PADDING);
+  };
+
+  const line = points
+    .map(({ value }, i) => `${x(i).toFixed(1)},${y(value).toFixed(1)}`)
+    .join(' ');
+  const dots = points
+    .map(
+      ({ value, title }, i) =>
+        `<circle class="stats-chart__dot" cx="${x(i).toFixed(1)}" cy="${y(value).toFixed(1)}" r="2"><title>${title}</title></circle>`,
+    )
+    .join('');
+
+  return `
+    <svg class="stats-chart" viewBox="0 0 ${WIDTH} ${HEIGHT}" role="img" aria-label="${label}">
+      <polyline class="stats-chart__line" points="${line}"></polyline>
+      ${dots}
+    </svg>
+  `;
+}
+
+/**
+ * Calendar heatmap: one column per week, Monday at the top
+ * @param {Array<{value: number, title: string}>} days - Oldest first, whole
+ *   weeks starting on a Monday
+ * @param {string} label - Accessible name
+ * @returns {string} SVG element
+ */
+export function heatmapSVG(days, label) {
+  const max = Math.max(...days.map((day) => day.value)) || 1;
+  const weeks = Math.ceil(days.length / 7);
+
+  const cells = days
+    .map(({ value, title }, i) => {
+      const level = value > 0 ? Math.ceil((value / max) * LEVELS) : 0;
+      const x = Math.floor(i / 7) * CELL;
+      const y = (i % 7) * CELL;
+      return `<rect class="stats-heatmap__day stats-heatmap__day--${level}" x="${x}" y="${y}" width="${CELL - 2}" height="${CELL - 2}" rx="1.5"><title>${title}</title></rect>`;
+    })
+    .join('');
+
+  return `
+    <svg class="stats-heatmap" viewBox="0 0 ${weeks * CELL} ${7 * CELL}" role="img" aria-label="${label}">
+      ${cells}
+    </svg>
+  `;
+}
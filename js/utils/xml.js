@@ -0,0 +1,58 @@
+/**
+ * XML Helpers
+ * Shared by the GPX and KML serializers/parsers
+ */
+
+/**
+ * Escapes text for use inside XML elements and attributes
+ */
+export function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Optional text element (omitted when empty)
+ */
+export function textElement(tag, value, indent) {
+  return value ? `${indent}<${tag}>${escapeXML(value)}</${tag}>\n` : '';
+}
+
+/**
+ * Text of the first direct child element with the given tag
+ */
+export function childText(el, tag) {
+  const child = [...el.children].find((c) => c.localName === tag);
+  return child ? child.textContent.trim() : '';
+}
+
+/**
+ * Parses an XML document, rejecting malformed input or the wrong root element
+ * @throws {Error} If parsing fails or the root is not `rootName`
+ */
+export function parseXML(text, rootName, label) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const root = doc.documentElement;
+
+  if (
+    doc.getElementsByTagName('parsererror').length ||
+    root.localName !== rootName
+  ) {
+    throw new Error(`Not a valid ${label} file`);
+  }
+
+  return root;
+}
+
+/**
+ * Parses an ISO timestamp, ignoring missing or malformed values
+ */
+export function parseTime(text) {
+  if (!text) return null;
+  const date = new Date(text);
+  return Number.isNaN(date.getTime()) ? null : date;
+}